@@ -4,11 +4,15 @@
  * Features:
  * - Lazy loading of translation files
  * - LRU cache for frequently used content (500+ terms)
+ * - Optional IndexedDB tier so loaded files survive page navigation
  * - Support for nested JSON structures
  * - Context-aware translations
  * - Technical term explanations (bilingual)
- * - Version control for content updates
+ * - Memoized data files with exact-match indexes by term, unit and category
+ * - Shared query API: filter, sort and page terms and synonyms in one normalized shape
+ * - Version control for content updates (data/content-index.json)
  * - Batch loading for performance
+ * - Debug mode: validates loaded files against content-schemas.js
  */
 
 class ContentLibrary {
@@ -25,6 +29,17 @@ class ContentLibrary {
         // Cache storage (LRU implementation)
         this.cache = new Map();
         this.cacheTimestamps = new Map();
+        this.cacheSources = new Map(); // cacheKey -> files the entry was built from
+        this.cacheHits = 0;
+        this.cacheMisses = 0;
+
+        // Persistent tier (IndexedDB): parsed data files keyed by path + content version
+        this.PERSISTENT_CACHE = true;
+        this.DB_NAME = 'it_english_content';
+        this.DB_STORE = 'files';
+        this.dbPromise = null;
+        this.persistentHits = 0;
+        this.persistentMisses = 0;
 
         // Loaded translation files
         this.loadedTranslations = {
@@ -33,6 +48,18 @@ class ContentLibrary {
             explanations: null
         };
 
+        // Loaded data files and their lookup indexes, keyed by file name
+        this.loadedDataFiles = {};
+        this.dataIndexes = {};
+
+        // Query sources: data file and list key behind each query() source
+        this.QUERY_SOURCES = {
+            terms: { file: 'technical-terms.json', listKey: 'terms' },
+            synonyms: { file: 'synonyms.json', listKey: 'synonyms' }
+        };
+        this.QUERY_SORT_FIELDS = ['term', 'definition', 'example', 'synonyms', 'category', 'unit', 'difficulty', 'random'];
+        this.DIFFICULTY_ORDER = { easy: 1, medium: 2, hard: 3 };
+
         // Loading promises (prevent duplicate requests)
         this.loadingPromises = {};
 
@@ -40,6 +67,21 @@ class ContentLibrary {
         this.TRANSLATION_PATH = 'ar-help/';
         this.DATA_PATH = 'data/';
 
+        // Content versioning
+        this.CONTENT_INDEX_PATH = 'data/content-index.json';
+        this.VERSIONS_KEY = 'it_english_content_versions';
+        this.contentVersions = {}; // file path -> version/hash from the content index
+        this.versionCheckPromise = null;
+
+        // Content update subscribers (Observer pattern)
+        this.observers = [];
+
+        // Debug mode: enable with ?debug=content or localStorage it_english_debug = 'content'
+        this.DEBUG_KEY = 'it_english_debug';
+        this.SCHEMAS_SCRIPT = 'content-schemas.js';
+        this.debug = this.isDebugEnabled();
+        this.validatorPromise = null;
+
         // Set singleton instance
         ContentLibrary.instance = this;
     }
@@ -49,6 +91,9 @@ class ContentLibrary {
      * Pre-loads essential translations if needed
      */
     async init() {
+        // Compare the content index before loading anything
+        await this.checkContentVersions();
+
         // Pre-load UI translations for faster initial render
         try {
             await this.loadTranslations('ui');
@@ -97,10 +142,32 @@ class ContentLibrary {
 
         // Cache the result
         this.addToCache(cacheKey, content);
+        this.cacheSources.set(cacheKey, this.getContentSources(key, mode));
 
         return content;
     }
 
+    /**
+     * Files a content entry is built from (used to invalidate it when they change)
+     * @param {string} key - Content key
+     * @param {string} mode - Language mode
+     * @returns {Array<string>}
+     */
+    getContentSources(key, mode) {
+        const sources = [];
+        const dataFile = this.getDataFileForKey(key);
+        if (dataFile) {
+            sources.push(`${this.DATA_PATH}${dataFile}`);
+        }
+        if (mode !== 'exam') {
+            sources.push(
+                `${this.TRANSLATION_PATH}${this.getTranslationFileName('content')}`,
+                `${this.TRANSLATION_PATH}${this.getTranslationFileName('ui')}`
+            );
+        }
+        return sources;
+    }
+
     /**
      * Get English-only content (Exam mode)
      * @param {string} key - Content key
@@ -227,67 +294,420 @@ class ContentLibrary {
      * @returns {Promise<any>}
      */
     async getFromDataFiles(key, context = null) {
-        // Map keys to data files
-        const fileMap = {
-            'technical-terms': 'technical-terms.json',
-            'synonyms': 'synonyms.json',
-            'reading': 'reading-texts.json',
-            'grammar': 'grammar-exercises.json'
+        const fileName = this.getDataFileForKey(key);
+        if (!fileName) {
+            return null;
+        }
+
+        const index = await this.getDataIndex(fileName);
+        if (!index) {
+            return null;
+        }
+
+        // Keys look like 'technical-terms.Firewall' or 'synonyms.Threat'
+        const entry = index.byTerm.get(this.normalizeLookup(this.getTermFromKey(key, fileName)));
+        if (!entry) {
+            return null;
+        }
+
+        if (fileName === 'synonyms.json') {
+            return {
+                term: entry.term,
+                synonyms: entry.synonyms,
+                definition: entry.definition,
+                example: entry.example
+            };
+        }
+
+        return {
+            term: entry.term,
+            definition: entry.definition,
+            example: entry.example,
+            synonyms: entry.synonyms || []
         };
+    }
 
-        // Try to determine which file based on key
-        let fileName = null;
-        for (const [prefix, file] of Object.entries(fileMap)) {
-            if (key.startsWith(prefix) || key.includes(prefix)) {
-                fileName = file;
-                break;
-            }
+    /**
+     * Strip the data file prefix from a content key
+     * @param {string} key - Content key, e.g. 'technical-terms.Firewall'
+     * @param {string} fileName - Data file the key maps to
+     * @returns {string}
+     */
+    getTermFromKey(key, fileName) {
+        const prefix = fileName.replace(/\.json$/, '');
+        const match = key.match(new RegExp(`^${prefix}[.:/](.+)$`));
+        return match ? match[1] : key;
+    }
+
+    /**
+     * Load a data file once (memoized and deduplicated like loadTranslations)
+     * @param {string} fileName - File in DATA_PATH, e.g. 'technical-terms.json'
+     * @returns {Promise<Object|null>}
+     */
+    async loadDataFile(fileName) {
+        // Check if already loaded
+        if (this.loadedDataFiles[fileName]) {
+            return this.loadedDataFiles[fileName];
         }
 
-        if (!fileName) {
+        // Check if already loading (prevent duplicate requests)
+        const loadingKey = `data:${fileName}`;
+        if (this.loadingPromises[loadingKey]) {
+            return this.loadingPromises[loadingKey];
+        }
+
+        const promise = this.loadJSONFile(`${this.DATA_PATH}${fileName}`)
+            .then(data => {
+                this.loadedDataFiles[fileName] = data;
+                delete this.loadingPromises[loadingKey];
+                return data;
+            })
+            .catch(error => {
+                console.warn(`ContentLibrary: Could not load data file ${fileName}:`, error);
+                delete this.loadingPromises[loadingKey];
+                // Not memoized, so a later call can retry
+                return null;
+            });
+
+        this.loadingPromises[loadingKey] = promise;
+        return promise;
+    }
+
+    /**
+     * Get (building once) the lookup indexes for a term data file
+     * @param {string} fileName - 'technical-terms.json' or 'synonyms.json'
+     * @returns {Promise<Object|null>} { entries, byTerm, byUnit, byCategory }
+     */
+    async getDataIndex(fileName) {
+        if (this.dataIndexes[fileName]) {
+            return this.dataIndexes[fileName];
+        }
+
+        const data = await this.loadDataFile(fileName);
+        if (!data) {
             return null;
         }
 
-        try {
-            const data = await this.loadJSONFile(`${this.DATA_PATH}${fileName}`);
-            
-            // Extract relevant content based on key structure
-            // This is a simplified version - can be enhanced based on actual data structure
-            if (data.terms && Array.isArray(data.terms)) {
-                // Technical terms
-                const term = data.terms.find(t => 
-                    t.term === key || t.term.toLowerCase().includes(key.toLowerCase())
-                );
-                if (term) {
-                    return {
-                        term: term.term,
-                        definition: term.definition,
-                        example: term.example,
-                        synonyms: term.synonyms || []
-                    };
-                }
+        const source = Array.isArray(data.terms) ? 'terms' : 'synonyms';
+        const entries = data[source];
+        if (!Array.isArray(entries)) {
+            return null;
+        }
+
+        const index = {
+            entries: this.normalizeEntries(entries, source),
+            byTerm: new Map(),
+            byUnit: new Map(),
+            byCategory: new Map()
+        };
+        const addToGroup = (map, key, entry) => {
+            if (!key) return;
+            if (!map.has(key)) {
+                map.set(key, []);
             }
+            map.get(key).push(entry);
+        };
 
-            if (data.synonyms && Array.isArray(data.synonyms)) {
-                // Synonyms
-                const synonym = data.synonyms.find(s => 
-                    s.term === key || s.term.toLowerCase().includes(key.toLowerCase())
-                );
-                if (synonym) {
-                    return {
-                        term: synonym.term,
-                        synonyms: synonym.synonyms,
-                        definition: synonym.definition,
-                        example: synonym.example
-                    };
+        entries.forEach(entry => {
+            if (!entry || !entry.term) return;
+
+            // The full term and, for 'Artificial Intelligence (AI)', both 'Artificial Intelligence' and 'AI'
+            this.getTermAliases(entry.term).forEach(alias => {
+                const aliasKey = this.normalizeLookup(alias);
+                if (!index.byTerm.has(aliasKey)) {
+                    index.byTerm.set(aliasKey, entry);
                 }
+            });
+
+            addToGroup(index.byUnit, this.normalizeUnit(entry.unit), entry);
+            addToGroup(index.byCategory, this.normalizeLookup(entry.category), entry);
+        });
+
+        this.dataIndexes[fileName] = index;
+        return index;
+    }
+
+    /**
+     * Find a term by exact (case-insensitive) match
+     * @param {string} term - Term or its abbreviation, e.g. 'Firewall' or 'AI'
+     * @param {string} fileName - Data file to search (default: technical terms, then synonyms)
+     * @returns {Promise<Object|null>} Raw entry from the data file
+     */
+    async findTerm(term, fileName = null) {
+        const files = fileName ? [fileName] : ['technical-terms.json', 'synonyms.json'];
+        const lookupKey = this.normalizeLookup(term);
+
+        for (const file of files) {
+            const index = await this.getDataIndex(file);
+            if (index && index.byTerm.has(lookupKey)) {
+                return index.byTerm.get(lookupKey);
             }
+        }
+        return null;
+    }
 
-            return null;
-        } catch (error) {
-            console.warn(`ContentLibrary: Could not load from data file ${fileName}:`, error);
-            return null;
+    /**
+     * Get all entries for a unit
+     * @param {string} unit - 'unit1', 'Unit 1', ...
+     * @param {string} fileName - Data file (default: technical terms)
+     * @returns {Promise<Array<Object>>}
+     */
+    async getTermsByUnit(unit, fileName = 'technical-terms.json') {
+        const index = await this.getDataIndex(fileName);
+        return (index && index.byUnit.get(this.normalizeUnit(unit))) || [];
+    }
+
+    /**
+     * Get all entries for a category
+     * @param {string} category - e.g. 'cybersecurity'
+     * @param {string} fileName - Data file (default: technical terms)
+     * @returns {Promise<Array<Object>>}
+     */
+    async getTermsByCategory(category, fileName = 'technical-terms.json') {
+        const index = await this.getDataIndex(fileName);
+        return (index && index.byCategory.get(this.normalizeLookup(category))) || [];
+    }
+
+    /**
+     * Query terms and synonyms with filters, sorting and paging
+     * Items have the same shape whichever data file they come from (see normalizeEntry)
+     * @param {Object} options - Query options
+     * @param {string} options.source - 'terms', 'synonyms' or 'all' (default)
+     * @param {string|Array<string>} options.unit - e.g. 'unit1' or 'Unit 1'; 'all' or empty for any
+     * @param {string|Array<string>} options.category - e.g. 'cybersecurity'
+     * @param {string|Array<string>} options.difficulty - 'easy', 'medium' or 'hard'
+     * @param {string} options.text - Free text matched against term, synonyms, definition and example
+     * @param {string} options.sort - One of QUERY_SORT_FIELDS (default: data file order)
+     * @param {string} options.order - 'asc' (default) or 'desc'
+     * @param {number} options.page - 1-based page (default 1)
+     * @param {number} options.pageSize - Items per page (default 0 = all)
+     * @param {Array<string>} options.exclude - Terms to leave out (case-insensitive)
+     * @param {Array<string>} options.ids - Only these entry ids, in this order unless sorted (e.g. ranked SearchIndex hits)
+     * @param {Array<Object>} options.fallback - Inline entries used when a single source's data file cannot be loaded
+     * @returns {Promise<Object>} { items, total, page, pageSize, totalPages }
+     */
+    async query(options = {}) {
+        const {
+            source = 'all',
+            unit = null,
+            category = null,
+            difficulty = null,
+            text = '',
+            sort = null,
+            order = 'asc',
+            page = 1,
+            pageSize = 0,
+            exclude = [],
+            ids = null,
+            fallback = null
+        } = options;
+
+        const sources = source === 'all' ? Object.keys(this.QUERY_SOURCES) : [source];
+        if (sources.some(name => !this.QUERY_SOURCES[name])) {
+            console.error('ContentLibrary: Unknown query source:', source);
+            return { items: [], total: 0, page: 1, pageSize, totalPages: 0 };
+        }
+
+        const lists = await Promise.all(sources.map(async (name) => {
+            const index = await this.getDataIndex(this.QUERY_SOURCES[name].file);
+            if (index) {
+                return index.entries;
+            }
+            return sources.length === 1 && Array.isArray(fallback) ? this.normalizeEntries(fallback, name) : [];
+        }));
+
+        const units = this.toFilterSet(unit, value => this.normalizeUnit(value));
+        const categories = this.toFilterSet(category, value => this.normalizeLookup(value));
+        const difficulties = this.toFilterSet(difficulty, value => this.normalizeLookup(value));
+        const excluded = new Set(exclude.map(term => this.normalizeLookup(term)));
+        const needle = this.normalizeLookup(text);
+        const rank = Array.isArray(ids) ? new Map(ids.map((id, position) => [id, position])) : null;
+
+        let items = [].concat(...lists).filter(item =>
+            (!units || units.has(item.unit)) &&
+            (!categories || categories.has(item.category)) &&
+            (!difficulties || difficulties.has(item.difficulty)) &&
+            !excluded.has(this.normalizeLookup(item.term)) &&
+            (!rank || rank.has(item.id)) &&
+            (!needle || this.matchesText(item, needle))
+        );
+
+        if (rank && !sort) {
+            items.sort((a, b) => rank.get(a.id) - rank.get(b.id));
         }
+
+        if (sort === 'random') {
+            items = this.shuffle(items);
+        } else if (sort) {
+            if (!this.QUERY_SORT_FIELDS.includes(sort)) {
+                console.warn('ContentLibrary: Unknown sort field:', sort);
+            } else {
+                const direction = order === 'desc' ? -1 : 1;
+                items.sort((a, b) => direction * this.compareField(a, b, sort));
+            }
+        }
+
+        const total = items.length;
+        const size = pageSize > 0 ? pageSize : total;
+        const totalPages = size > 0 ? Math.ceil(total / size) : 0;
+        const currentPage = Math.min(Math.max(1, page), Math.max(1, totalPages));
+        const start = (currentPage - 1) * size;
+
+        return {
+            items: pageSize > 0 ? items.slice(start, start + size) : items,
+            total,
+            page: currentPage,
+            pageSize: size,
+            totalPages
+        };
+    }
+
+    /**
+     * Convert a technical term or synonym entry into the shared query shape
+     * @param {Object} entry - Raw data entry (inline entries with a single 'synonym' are accepted)
+     * @param {string} source - 'terms' or 'synonyms'
+     * @returns {Object} { id, source, term, definition, example, synonyms, category, unit, difficulty }
+     */
+    normalizeEntry(entry, source) {
+        let synonyms = [];
+        if (Array.isArray(entry.synonyms)) {
+            synonyms = entry.synonyms;
+        } else if (entry.synonym) {
+            synonyms = [entry.synonym];
+        }
+
+        return {
+            id: `${source}:${this.normalizeLookup(entry.term).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')}`,
+            source: source,
+            term: entry.term,
+            definition: entry.definition || '',
+            example: entry.example || '',
+            synonyms: synonyms,
+            category: this.normalizeLookup(entry.category),
+            unit: this.normalizeUnit(entry.unit),
+            difficulty: this.normalizeLookup(entry.difficulty)
+        };
+    }
+
+    /**
+     * Normalize a list of entries, skipping entries without a term
+     * @param {Array<Object>} entries - Raw entries
+     * @param {string} source - 'terms' or 'synonyms'
+     * @returns {Array<Object>}
+     */
+    normalizeEntries(entries, source) {
+        return entries
+            .filter(entry => entry && entry.term)
+            .map(entry => this.normalizeEntry(entry, source));
+    }
+
+    /**
+     * Turn a filter value into a set of normalized values
+     * @param {string|Array<string>|null} value - Filter value; 'all' or empty means no filter
+     * @param {Function} normalize - Normalizer for each value
+     * @returns {Set<string>|null} null when the filter does not apply
+     */
+    toFilterSet(value, normalize) {
+        const values = (Array.isArray(value) ? value : [value])
+            .filter(item => item && item !== 'all')
+            .map(normalize);
+        return values.length ? new Set(values) : null;
+    }
+
+    /**
+     * Does a normalized entry contain the search text?
+     * @param {Object} item - Normalized entry
+     * @param {string} needle - Normalized search text
+     * @returns {boolean}
+     */
+    matchesText(item, needle) {
+        return [item.term, item.definition, item.example, ...item.synonyms]
+            .some(value => this.normalizeLookup(value).includes(needle));
+    }
+
+    /**
+     * Compare two normalized entries on a sort field
+     * @param {Object} a - Entry
+     * @param {Object} b - Entry
+     * @param {string} field - Sort field
+     * @returns {number}
+     */
+    compareField(a, b, field) {
+        if (field === 'difficulty') {
+            return (this.DIFFICULTY_ORDER[a.difficulty] || 0) - (this.DIFFICULTY_ORDER[b.difficulty] || 0);
+        }
+
+        const valueOf = item => (Array.isArray(item[field]) ? item[field].join(', ') : String(item[field] || ''));
+        // numeric: 'unit2' sorts before 'unit10'
+        return valueOf(a).localeCompare(valueOf(b), 'en', { sensitivity: 'base', numeric: true });
+    }
+
+    /**
+     * Shuffled copy of a list (Fisher-Yates)
+     * @param {Array} list - List
+     * @returns {Array}
+     */
+    shuffle(list) {
+        const result = [...list];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    /**
+     * Names a term can be looked up by
+     * @param {string} term - Term, optionally with an abbreviation in brackets
+     * @returns {Array<string>}
+     */
+    getTermAliases(term) {
+        const aliases = [term];
+        const bracketMatch = term.match(/^(.*?)\s*\(([^)]+)\)\s*$/);
+        if (bracketMatch) {
+            aliases.push(bracketMatch[1], bracketMatch[2]);
+        }
+        return aliases;
+    }
+
+    /**
+     * Normalize a term or category for exact lookups (case and spacing)
+     * @param {string} value - Raw value
+     * @returns {string}
+     */
+    normalizeLookup(value) {
+        return String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Normalize a unit name ('Unit 1' and 'unit1' are the same unit)
+     * @param {string} unit - Raw unit
+     * @returns {string}
+     */
+    normalizeUnit(unit) {
+        return String(unit || '').toLowerCase().replace(/\s+/g, '');
+    }
+
+    /**
+     * Determine which data file a content key reads from
+     * @param {string} key - Content key
+     * @returns {string|null}
+     */
+    getDataFileForKey(key) {
+        // Map keys to data files
+        const fileMap = {
+            'technical-terms': 'technical-terms.json',
+            'synonyms': 'synonyms.json',
+            'reading': 'reading-texts.json',
+            'grammar': 'grammar-exercises.json'
+        };
+
+        for (const [prefix, file] of Object.entries(fileMap)) {
+            if (key.startsWith(prefix) || key.includes(prefix)) {
+                return file;
+            }
+        }
+        return null;
     }
 
     /**
@@ -346,18 +766,130 @@ class ContentLibrary {
      * @returns {Promise<Object>}
      */
     async loadJSONFile(path) {
+        // Versions must be known before the persistent tier can be trusted
+        await this.checkContentVersions();
+
+        const version = this.contentVersions[path] || null;
+        const stored = await this.getPersistent(path);
+        // Without a content index (offline) any stored version is better than a failed fetch
+        const versionMatches = stored && (stored.version === version || version === null);
+        if (versionMatches && Date.now() - stored.timestamp <= this.CACHE_TTL) {
+            this.persistentHits++;
+            return stored.data;
+        }
+        this.persistentMisses++;
+
         try {
-            const response = await fetch(path);
+            const response = await fetch(this.getVersionedPath(path));
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
-            return await response.json();
+            const data = await response.json();
+
+            if (this.debug) {
+                await this.validateContent(path, data);
+            }
+
+            this.setPersistent(path, { version: version, timestamp: Date.now(), data: data });
+            return data;
         } catch (error) {
+            // An expired or older stored copy still beats no content
+            if (stored) {
+                console.warn(`ContentLibrary: Failed to refresh ${path}, using stored copy:`, error);
+                return stored.data;
+            }
             console.error(`ContentLibrary: Failed to load ${path}:`, error);
             throw error;
         }
     }
 
+    /**
+     * Check whether debug mode was requested
+     * @returns {boolean}
+     */
+    isDebugEnabled() {
+        try {
+            if (typeof window !== 'undefined' && window.location &&
+                new URLSearchParams(window.location.search).get('debug') === 'content') {
+                return true;
+            }
+            return typeof localStorage !== 'undefined' && localStorage.getItem(this.DEBUG_KEY) === 'content';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Turn debug mode on or off (persists across page loads)
+     * @param {boolean} enabled - Enable schema validation
+     */
+    setDebug(enabled) {
+        this.debug = !!enabled;
+        try {
+            if (this.debug) {
+                localStorage.setItem(this.DEBUG_KEY, 'content');
+            } else {
+                localStorage.removeItem(this.DEBUG_KEY);
+            }
+        } catch (error) {
+            console.error('ContentLibrary: Failed to save debug setting:', error);
+        }
+    }
+
+    /**
+     * Load the schema validator on demand (only needed in debug mode)
+     * @returns {Promise<Object|null>} ContentSchemas instance
+     */
+    loadValidator() {
+        if (typeof window === 'undefined') {
+            return Promise.resolve(null);
+        }
+        if (window.ContentSchemas) {
+            return Promise.resolve(window.ContentSchemas);
+        }
+        if (!this.validatorPromise) {
+            this.validatorPromise = new Promise(resolve => {
+                const script = document.createElement('script');
+                script.src = this.SCHEMAS_SCRIPT;
+                script.onload = () => resolve(window.ContentSchemas || null);
+                script.onerror = () => {
+                    console.warn('ContentLibrary: Could not load content schemas');
+                    resolve(null);
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return this.validatorPromise;
+    }
+
+    /**
+     * Validate a loaded file and log any schema issues (debug mode)
+     * A validator that throws (malformed file) is reported as an issue, not a load failure
+     * @param {string} path - File path
+     * @param {Object} data - Parsed JSON
+     * @returns {Promise<Array<Object>>} Issues found
+     */
+    async validateContent(path, data) {
+        const validator = await this.loadValidator();
+        if (!validator) {
+            return [];
+        }
+
+        let issues;
+        try {
+            issues = validator.validateFile(path, data);
+        } catch (error) {
+            issues = [{ file: path, path: '$', level: 'error', message: `validator failed: ${error.message}` }];
+        }
+        if (issues.length > 0) {
+            console.warn(`ContentLibrary: ${issues.length} schema issue(s) in ${path}`);
+            issues.forEach(issue => {
+                console.warn(`  ${issue.level}: ${issue.path} ${issue.message}`);
+            });
+        }
+        return issues;
+    }
+
     /**
      * Get explanation for a term (bilingual)
      * @param {string} term - Technical term
@@ -384,81 +916,149 @@ class ContentLibrary {
     }
 
     /**
-     * Batch load multiple content items
-     * @param {Array<string>} keys - Array of content keys
-     * @param {string} mode - Language mode
-     * @returns {Promise<Object>}
+     * Add the content index version to a file path (cache busting)
+     * @param {string} path - File path, e.g. 'data/synonyms.json'
+     * @returns {string}
      */
-    async batchLoad(keys, mode = null) {
-        const promises = keys.map(key => this.getContent(key, null, mode));
-        const results = await Promise.all(promises);
-        
-        const batch = {};
-        keys.forEach((key, index) => {
-            batch[key] = results[index];
-        });
-
-        return batch;
+    getVersionedPath(path) {
+        const version = this.contentVersions[path];
+        return version ? `${path}?v=${encodeURIComponent(version)}` : path;
     }
 
     /**
-     * Cache management methods
+     * Compare the content index with the versions seen last time
+     * Invalidates cached content built from changed files and notifies subscribers
+     * @returns {Promise<Array<string>>} Changed file paths
      */
-    getCacheKey(key, context, mode) {
-        return `${mode}:${key}:${context || 'default'}`;
+    async checkContentVersions() {
+        if (this.versionCheckPromise) {
+            return this.versionCheckPromise;
+        }
+
+        this.versionCheckPromise = (async () => {
+            let index;
+            try {
+                const response = await fetch(this.CONTENT_INDEX_PATH, { cache: 'no-cache' });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                }
+                index = await response.json();
+            } catch (error) {
+                console.warn('ContentLibrary: Could not load content index:', error);
+                return [];
+            }
+
+            const versions = (index && index.files) || {};
+            const previous = this.getStoredVersions();
+            const changed = Object.keys(versions).filter(file =>
+                previous[file] !== undefined && previous[file] !== versions[file]
+            );
+
+            this.contentVersions = versions;
+            this.saveStoredVersions(versions);
+
+            if (changed.length > 0) {
+                this.invalidateFiles(changed);
+                this.notifyObservers({ type: 'contentupdate', files: changed });
+            }
+
+            return changed;
+        })();
+
+        return this.versionCheckPromise;
     }
 
-    getFromCache(cacheKey) {
-        const cached = this.cache.get(cacheKey);
-        if (!cached) {
-            return null;
+    /**
+     * Drop cached entries and loaded translations built from the given files
+     * @param {Array<string>} files - Changed file paths
+     */
+    invalidateFiles(files) {
+        for (const [cacheKey, sources] of this.cacheSources) {
+            if (sources.some(source => files.includes(source))) {
+                this.cache.delete(cacheKey);
+                this.cacheTimestamps.delete(cacheKey);
+                this.cacheSources.delete(cacheKey);
+            }
         }
 
-        // Check TTL
-        const timestamp = this.cacheTimestamps.get(cacheKey);
-        if (timestamp && Date.now() - timestamp > this.CACHE_TTL) {
-            this.cache.delete(cacheKey);
-            this.cacheTimestamps.delete(cacheKey);
-            return null;
-        }
+        Object.keys(this.loadedTranslations).forEach(type => {
+            if (files.includes(`${this.TRANSLATION_PATH}${this.getTranslationFileName(type)}`)) {
+                this.loadedTranslations[type] = null;
+            }
+        });
 
-        return cached;
+        files.forEach(file => {
+            if (file.startsWith(this.DATA_PATH)) {
+                const fileName = file.slice(this.DATA_PATH.length);
+                delete this.loadedDataFiles[fileName];
+                delete this.dataIndexes[fileName];
+            }
+            this.deletePersistent(file);
+        });
     }
 
-    addToCache(cacheKey, content) {
-        // LRU: Remove oldest if cache is full
-        if (this.cache.size >= this.CACHE_SIZE) {
-            const firstKey = this.cache.keys().next().value;
-            this.cache.delete(firstKey);
-            this.cacheTimestamps.delete(firstKey);
+    /**
+     * Content versions seen on the previous visit
+     * @returns {Object} File path -> version
+     */
+    getStoredVersions() {
+        try {
+            const data = localStorage.getItem(this.VERSIONS_KEY);
+            return data ? JSON.parse(data) : {};
+        } catch (error) {
+            console.error('ContentLibrary: Failed to load content versions:', error);
+            return {};
         }
-
-        this.cache.set(cacheKey, content);
-        this.cacheTimestamps.set(cacheKey, Date.now());
     }
 
-    clearCache() {
-        this.cache.clear();
-        this.cacheTimestamps.clear();
+    /**
+     * Remember the current content versions
+     * @param {Object} versions - File path -> version
+     */
+    saveStoredVersions(versions) {
+        try {
+            localStorage.setItem(this.VERSIONS_KEY, JSON.stringify(versions));
+        } catch (error) {
+            console.error('ContentLibrary: Failed to save content versions:', error);
+        }
     }
 
     /**
-     * Get cache statistics (for debugging)
-     * @returns {Object}
+     * Subscribe to content updates (Observer pattern)
+     * Callback receives { type: 'contentupdate', files: [...] }
+     * @param {Function} callback - Function to call when content changes
+     * @returns {Function} Unsubscribe function
      */
-    getCacheStats() {
-        return {
-            size: this.cache.size,
-            maxSize: this.CACHE_SIZE,
-            loadedTranslations: Object.keys(this.loadedTranslations).filter(
-                key => this.loadedTranslations[key] !== null
-            )
+    subscribe(callback) {
+        if (typeof callback !== 'function') {
+            console.warn('ContentLibrary.subscribe: callback must be a function');
+            return () => {};
+        }
+
+        this.observers.push(callback);
+
+        // Return unsubscribe function
+        return () => {
+            const index = this.observers.indexOf(callback);
+            if (index > -1) {
+                this.observers.splice(index, 1);
+            }
         };
     }
-}
 
-// Create and export singleton instance
-// ... existing code ...
+    /**
+     * Notify all observers of a content update
+     * @param {Object} event - Update details
+     */
+    notifyObservers(event) {
+        this.observers.forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error('ContentLibrary observer error:', error);
+            }
+        });
+    }
 
     /**
      * Batch load multiple content items
@@ -488,6 +1088,7 @@ class ContentLibrary {
     getFromCache(cacheKey) {
         const cached = this.cache.get(cacheKey);
         if (!cached) {
+            this.cacheMisses++;
             return null;
         }
 
@@ -496,18 +1097,29 @@ class ContentLibrary {
         if (timestamp && Date.now() - timestamp > this.CACHE_TTL) {
             this.cache.delete(cacheKey);
             this.cacheTimestamps.delete(cacheKey);
+            this.cacheSources.delete(cacheKey);
+            this.cacheMisses++;
             return null;
         }
 
+        // LRU: move to the most recently used end (Map keeps insertion order)
+        this.cache.delete(cacheKey);
+        this.cache.set(cacheKey, cached);
+        this.cacheHits++;
+
         return cached;
     }
 
     addToCache(cacheKey, content) {
-        // LRU: Remove oldest if cache is full
+        // Re-adding an existing key refreshes its position
+        this.cache.delete(cacheKey);
+
+        // LRU: Remove least recently used if cache is full
         if (this.cache.size >= this.CACHE_SIZE) {
             const firstKey = this.cache.keys().next().value;
             this.cache.delete(firstKey);
             this.cacheTimestamps.delete(firstKey);
+            this.cacheSources.delete(firstKey);
         }
 
         this.cache.set(cacheKey, content);
@@ -517,6 +1129,71 @@ class ContentLibrary {
     clearCache() {
         this.cache.clear();
         this.cacheTimestamps.clear();
+        this.cacheSources.clear();
+    }
+
+    /**
+     * Persistent tier (IndexedDB) methods
+     * All of them resolve to null/undefined instead of failing when IndexedDB is unavailable
+     */
+    openPersistentStore() {
+        if (!this.PERSISTENT_CACHE || typeof indexedDB === 'undefined') {
+            return Promise.resolve(null);
+        }
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise(resolve => {
+                try {
+                    const request = indexedDB.open(this.DB_NAME, 1);
+                    request.onupgradeneeded = () => {
+                        request.result.createObjectStore(this.DB_STORE);
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => {
+                        console.warn('ContentLibrary: Persistent cache unavailable:', request.error);
+                        resolve(null);
+                    };
+                } catch (error) {
+                    console.warn('ContentLibrary: Persistent cache unavailable:', error);
+                    resolve(null);
+                }
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async runPersistent(mode, operation) {
+        const db = await this.openPersistentStore();
+        if (!db) {
+            return null;
+        }
+
+        return new Promise(resolve => {
+            try {
+                const request = operation(db.transaction(this.DB_STORE, mode).objectStore(this.DB_STORE));
+                request.onsuccess = () => resolve(request.result === undefined ? null : request.result);
+                request.onerror = () => resolve(null);
+            } catch (error) {
+                console.warn('ContentLibrary: Persistent cache error:', error);
+                resolve(null);
+            }
+        });
+    }
+
+    getPersistent(key) {
+        return this.runPersistent('readonly', store => store.get(key));
+    }
+
+    setPersistent(key, value) {
+        return this.runPersistent('readwrite', store => store.put(value, key));
+    }
+
+    deletePersistent(key) {
+        return this.runPersistent('readwrite', store => store.delete(key));
+    }
+
+    clearPersistentCache() {
+        return this.runPersistent('readwrite', store => store.clear());
     }
 
     /**
@@ -524,9 +1201,18 @@ class ContentLibrary {
      * @returns {Object}
      */
     getCacheStats() {
+        const lookups = this.cacheHits + this.cacheMisses;
         return {
             size: this.cache.size,
             maxSize: this.CACHE_SIZE,
+            hits: this.cacheHits,
+            misses: this.cacheMisses,
+            hitRate: lookups > 0 ? Math.round((this.cacheHits / lookups) * 100) : 0,
+            persistent: {
+                enabled: this.PERSISTENT_CACHE && typeof indexedDB !== 'undefined',
+                hits: this.persistentHits,
+                misses: this.persistentMisses
+            },
             loadedTranslations: Object.keys(this.loadedTranslations).filter(
                 key => this.loadedTranslations[key] !== null
             )
@@ -534,6 +1220,9 @@ class ContentLibrary {
     }
 }
 
+// Create and export singleton instance
+const contentLibrary = new ContentLibrary();
+
 // Auto-initialize when DOM is ready
 if (typeof document !== 'undefined') {
     if (document.readyState === 'loading') {
@@ -551,12 +1240,6 @@ if (typeof module !== 'undefined' && module.exports) {
 }
 
 // Make available globally
-// أضف إنشاء الـ Singleton والربط بالنافذة/الوحدة
-const contentLibrary = new ContentLibrary();
 if (typeof window !== 'undefined') {
     window.ContentLibrary = contentLibrary;
 }
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = contentLibrary;
-}
-
@@ -0,0 +1,511 @@
+/**
+ * Content Schemas - Shape checks for the data/ and ar-help/ JSON files
+ *
+ * Features:
+ * - A schema per content file (small JSON Schema subset: type, required,
+ *   properties, items, additionalProperties, minLength, minItems, $ref)
+ * - Content rules: `correct` indices inside `options`, one correct tense option
+ * - Duplicate terms within a file (error) and across files (warning)
+ * - Runs in the browser (ContentLibrary debug mode) and in Node (scripts/validate-content.js)
+ */
+
+class ContentSchemas {
+    constructor() {
+        // Singleton pattern
+        if (ContentSchemas.instance) {
+            return ContentSchemas.instance;
+        }
+
+        // Shared definitions referenced with { $ref: 'name' }
+        this.DEFINITIONS = {
+            nonEmptyString: { type: 'string', minLength: 1 },
+            translationNode: {
+                type: ['string', 'object'],
+                additionalProperties: { $ref: 'translationNode' }
+            },
+            // MCQ and true/false questions about a reading or listening passage
+            passageQuestions: {
+                type: 'object',
+                properties: {
+                    mcq: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['id', 'text', 'options', 'correct'],
+                            rule: 'correctIndex',
+                            properties: {
+                                id: { $ref: 'nonEmptyString' },
+                                text: { $ref: 'nonEmptyString' },
+                                options: { type: 'array', minItems: 2, items: { $ref: 'nonEmptyString' } },
+                                correct: { type: 'integer' }
+                            }
+                        }
+                    },
+                    tf: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['id', 'text', 'correct'],
+                            properties: {
+                                id: { $ref: 'nonEmptyString' },
+                                text: { $ref: 'nonEmptyString' },
+                                correct: { type: 'boolean' }
+                            }
+                        }
+                    }
+                }
+            }
+        };
+
+        // Schemas keyed by file path (relative to the site root)
+        this.SCHEMAS = {
+            'data/technical-terms.json': {
+                type: 'object',
+                required: ['terms'],
+                properties: {
+                    terms: {
+                        type: 'array',
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            required: ['term', 'definition', 'example', 'synonyms', 'category', 'unit', 'difficulty'],
+                            properties: {
+                                term: { $ref: 'nonEmptyString' },
+                                definition: { $ref: 'nonEmptyString' },
+                                example: { $ref: 'nonEmptyString' },
+                                synonyms: { type: 'array', items: { $ref: 'nonEmptyString' } },
+                                category: { $ref: 'nonEmptyString' },
+                                unit: { $ref: 'nonEmptyString' },
+                                difficulty: { type: 'string', enum: ['easy', 'medium', 'hard'] }
+                            }
+                        }
+                    }
+                }
+            },
+            'data/synonyms.json': {
+                type: 'object',
+                required: ['synonyms'],
+                properties: {
+                    synonyms: {
+                        type: 'array',
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            required: ['term', 'synonyms', 'definition', 'example', 'unit'],
+                            properties: {
+                                term: { $ref: 'nonEmptyString' },
+                                synonyms: { type: 'array', minItems: 1, items: { $ref: 'nonEmptyString' } },
+                                definition: { $ref: 'nonEmptyString' },
+                                example: { $ref: 'nonEmptyString' },
+                                unit: { $ref: 'nonEmptyString' }
+                            }
+                        }
+                    }
+                }
+            },
+            'data/reading-texts.json': {
+                type: 'object',
+                required: ['texts'],
+                properties: {
+                    texts: {
+                        type: 'array',
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            required: ['id', 'title', 'content', 'questions'],
+                            properties: {
+                                id: { $ref: 'nonEmptyString' },
+                                title: { $ref: 'nonEmptyString' },
+                                titleEn: { type: 'string' },
+                                source: { type: 'string' },
+                                content: { type: 'array', minItems: 1, items: { $ref: 'nonEmptyString' } },
+                                questions: { $ref: 'passageQuestions' },
+                                listening: {
+                                    type: 'object',
+                                    required: ['id', 'script', 'questions'],
+                                    properties: {
+                                        id: { $ref: 'nonEmptyString' },
+                                        title: { type: 'string' },
+                                        script: { type: 'array', minItems: 1, items: { $ref: 'nonEmptyString' } },
+                                        questions: { $ref: 'passageQuestions' }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            },
+            'data/grammar-exercises.json': {
+                type: 'object',
+                required: ['tense_exercises', 'noun_exercises', 'blank_exercises'],
+                properties: {
+                    tense_exercises: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['id', 'question', 'options', 'explanation'],
+                            rule: 'singleCorrectOption',
+                            properties: {
+                                id: { type: 'integer' },
+                                question: { $ref: 'nonEmptyString' },
+                                options: {
+                                    type: 'array',
+                                    minItems: 2,
+                                    items: {
+                                        type: 'object',
+                                        required: ['text', 'value', 'correct'],
+                                        properties: {
+                                            text: { $ref: 'nonEmptyString' },
+                                            value: { $ref: 'nonEmptyString' },
+                                            correct: { type: 'boolean' }
+                                        }
+                                    }
+                                },
+                                explanation: { $ref: 'nonEmptyString' }
+                            }
+                        }
+                    },
+                    noun_exercises: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['id', 'wrong_sentence', 'correct_sentence', 'explanation'],
+                            properties: {
+                                id: { type: 'integer' },
+                                wrong_sentence: { $ref: 'nonEmptyString' },
+                                correct_sentence: { $ref: 'nonEmptyString' },
+                                explanation: { $ref: 'nonEmptyString' }
+                            }
+                        }
+                    },
+                    blank_exercises: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['id', 'sentence', 'correct', 'options', 'explanation'],
+                            rule: 'correctInOptions',
+                            properties: {
+                                id: { type: 'integer' },
+                                sentence: { $ref: 'nonEmptyString' },
+                                correct: { $ref: 'nonEmptyString' },
+                                options: { type: 'array', minItems: 2, items: { $ref: 'nonEmptyString' } },
+                                explanation: { $ref: 'nonEmptyString' }
+                            }
+                        }
+                    }
+                }
+            },
+            'data/grammar-rules.json': {
+                type: 'object',
+                required: ['rules'],
+                properties: {
+                    rules: {
+                        type: 'array',
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            required: ['id', 'title', 'titleAr', 'section', 'summary'],
+                            properties: {
+                                id: { $ref: 'nonEmptyString' },
+                                title: { $ref: 'nonEmptyString' },
+                                titleAr: { $ref: 'nonEmptyString' },
+                                section: { type: 'string', enum: ['tenses', 'nouns'] },
+                                summary: { $ref: 'nonEmptyString' },
+                                formula: { type: 'string' },
+                                examples: { type: 'array', items: { $ref: 'nonEmptyString' } }
+                            }
+                        }
+                    }
+                }
+            },
+            'data/writing-templates.json': {
+                type: 'object',
+                required: ['templates'],
+                properties: {
+                    templates: {
+                        type: 'array',
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            required: ['id', 'title', 'description', 'keywords', 'minWords', 'timeLimit', 'modelAnswer'],
+                            properties: {
+                                id: { $ref: 'nonEmptyString' },
+                                title: { $ref: 'nonEmptyString' },
+                                titleEn: { type: 'string' },
+                                description: { $ref: 'nonEmptyString' },
+                                keywords: { type: 'array', minItems: 1, items: { $ref: 'nonEmptyString' } },
+                                minWords: { type: 'integer' },
+                                timeLimit: { type: 'integer' },
+                                modelAnswer: { $ref: 'nonEmptyString' }
+                            }
+                        }
+                    }
+                }
+            },
+            'ar-help/explanations.json': {
+                type: 'object',
+                additionalProperties: {
+                    type: 'object',
+                    required: ['english', 'arabic'],
+                    properties: {
+                        english: { $ref: 'nonEmptyString' },
+                        arabic: { $ref: 'nonEmptyString' },
+                        example: { type: 'string' },
+                        exampleAr: { type: 'string' },
+                        context: { type: 'string' }
+                    }
+                }
+            },
+            'ar-help/ui-translations.json': {
+                type: 'object',
+                required: ['nav', 'buttons', 'exam'],
+                additionalProperties: { $ref: 'translationNode' }
+            },
+            'ar-help/content-translations.json': {
+                type: 'object',
+                required: ['common'],
+                additionalProperties: { $ref: 'translationNode' }
+            }
+        };
+
+        // Content rules referenced with { rule: 'name' }; return an error message or null
+        this.RULES = {
+            correctIndex: (item) => {
+                if (!Array.isArray(item.options) || !Number.isInteger(item.correct)) {
+                    return null;
+                }
+                return item.correct >= 0 && item.correct < item.options.length
+                    ? null
+                    : `correct index ${item.correct} is outside options (0-${item.options.length - 1})`;
+            },
+            singleCorrectOption: (item) => {
+                if (!Array.isArray(item.options)) {
+                    return null;
+                }
+                const count = item.options.filter(option => option && option.correct === true).length;
+                return count === 1 ? null : `expected exactly one correct option, found ${count}`;
+            },
+            correctInOptions: (item) => {
+                if (!Array.isArray(item.options) || typeof item.correct !== 'string') {
+                    return null;
+                }
+                return item.options.includes(item.correct)
+                    ? null
+                    : `correct answer "${item.correct}" is not one of the options`;
+            }
+        };
+
+        // Where each file keeps its terms (for duplicate checks)
+        this.TERM_SOURCES = {
+            'data/technical-terms.json': (data) => ((data && data.terms) || []).map(entry => entry && entry.term),
+            'data/synonyms.json': (data) => ((data && data.synonyms) || []).map(entry => entry && entry.term),
+            'ar-help/explanations.json': (data) => Object.keys(data || {})
+        };
+
+        // Set singleton instance
+        ContentSchemas.instance = this;
+    }
+
+    /**
+     * Validate one content file
+     * @param {string} file - File path, e.g. 'data/synonyms.json'
+     * @param {any} data - Parsed JSON
+     * @returns {Array<Object>} Issues: { file, path, level, message }
+     */
+    validateFile(file, data) {
+        const schema = this.SCHEMAS[file];
+        if (!schema) {
+            return [];
+        }
+
+        const issues = [];
+        this.validateValue(data, schema, '$', (path, message) => {
+            issues.push({ file: file, path: path, level: 'error', message: message });
+        });
+
+        this.findDuplicates(file, data).forEach(({ term, paths }) => {
+            issues.push({
+                file: file,
+                path: paths.join(', '),
+                level: 'error',
+                message: `duplicate term "${term}"`
+            });
+        });
+
+        return issues;
+    }
+
+    /**
+     * Validate several files and check for terms repeated across them
+     * @param {Object} files - File path -> parsed JSON
+     * @returns {Array<Object>} Issues: { file, path, level, message }
+     */
+    validateAll(files) {
+        const issues = [];
+        Object.entries(files).forEach(([file, data]) => {
+            issues.push(...this.validateFile(file, data));
+        });
+
+        // Technical terms and synonyms should not define the same term twice
+        const termFiles = ['data/technical-terms.json', 'data/synonyms.json'].filter(file => files[file]);
+        if (termFiles.length > 1) {
+            const seen = new Map();
+            termFiles.forEach(file => {
+                this.TERM_SOURCES[file](files[file]).forEach(term => {
+                    const key = this.normalizeTerm(term);
+                    if (!key) {
+                        return;
+                    }
+                    if (seen.has(key) && seen.get(key).file !== file) {
+                        const first = seen.get(key);
+                        issues.push({
+                            file: file,
+                            path: '$',
+                            level: 'warning',
+                            message: `term "${term}" is also defined in ${first.file} as "${first.term}"`
+                        });
+                    } else if (!seen.has(key)) {
+                        seen.set(key, { file: file, term: term });
+                    }
+                });
+            });
+        }
+
+        return issues;
+    }
+
+    /**
+     * Terms repeated inside one file
+     * @param {string} file - File path
+     * @param {any} data - Parsed JSON
+     * @returns {Array<Object>} { term, paths }
+     */
+    findDuplicates(file, data) {
+        const getTerms = this.TERM_SOURCES[file];
+        if (!getTerms) {
+            return [];
+        }
+
+        const byKey = new Map();
+        getTerms(data).forEach((term, index) => {
+            const key = this.normalizeTerm(term);
+            if (!key) {
+                return;
+            }
+            if (!byKey.has(key)) {
+                byKey.set(key, { term: term, paths: [] });
+            }
+            byKey.get(key).paths.push(`[${index}]`);
+        });
+
+        return Array.from(byKey.values()).filter(entry => entry.paths.length > 1);
+    }
+
+    /**
+     * Normalize a term for duplicate detection
+     * Word order is ignored so 'AI (Artificial Intelligence)' matches 'Artificial Intelligence (AI)'
+     * @param {string} term - Term
+     * @returns {string}
+     */
+    normalizeTerm(term) {
+        return String(term || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9\s]/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean)
+            .sort()
+            .join(' ');
+    }
+
+    /**
+     * Validate a value against a schema node
+     * @param {any} value - Value to check
+     * @param {Object} schema - Schema node
+     * @param {string} path - JSON path for messages
+     * @param {Function} report - (path, message) => void
+     */
+    validateValue(value, schema, path, report) {
+        if (schema.$ref) {
+            this.validateValue(value, this.DEFINITIONS[schema.$ref], path, report);
+            return;
+        }
+
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const actual = this.getType(value);
+        if (schema.type && !types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+            report(path, `expected ${types.join(' or ')}, got ${actual}`);
+            return;
+        }
+
+        if (actual === 'string') {
+            if (schema.minLength && value.trim().length < schema.minLength) {
+                report(path, 'must not be empty');
+            }
+            if (schema.enum && !schema.enum.includes(value)) {
+                report(path, `must be one of: ${schema.enum.join(', ')}`);
+            }
+        }
+
+        if (actual === 'array') {
+            if (schema.minItems && value.length < schema.minItems) {
+                report(path, `expected at least ${schema.minItems} item(s), got ${value.length}`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => this.validateValue(item, schema.items, `${path}[${index}]`, report));
+            }
+        }
+
+        if (actual === 'object') {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) {
+                    report(path, `missing required field "${key}"`);
+                }
+            });
+
+            Object.entries(value).forEach(([key, child]) => {
+                const childSchema = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+                if (childSchema) {
+                    this.validateValue(child, childSchema, `${path}.${key}`, report);
+                }
+            });
+        }
+
+        if (schema.rule && this.RULES[schema.rule]) {
+            const message = this.RULES[schema.rule](value);
+            if (message) {
+                report(path, message);
+            }
+        }
+    }
+
+    /**
+     * JSON type name of a value ('integer' for whole numbers)
+     * @param {any} value - Value
+     * @returns {string}
+     */
+    getType(value) {
+        if (value === null) {
+            return 'null';
+        }
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+        if (typeof value === 'number' && Number.isInteger(value)) {
+            return 'integer';
+        }
+        return typeof value;
+    }
+}
+
+// Create and export singleton instance
+const contentSchemas = new ContentSchemas();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = contentSchemas;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.ContentSchemas = contentSchemas;
+}
@@ -0,0 +1,250 @@
+/**
+ * Exam Generator - Randomized, reproducible exam papers
+ *
+ * Features:
+ * - Blueprint-driven papers (items per section)
+ * - Seeded PRNG: the same seed and blueprint always give the same paper
+ * - Balanced draws across `unit` and `difficulty`
+ * - Option shuffling with `correct` index remapping (including reading and
+ *   listening sub-questions)
+ * - Optional sections: a blueprint count of 0 leaves the section out
+ * - A passage (`passageId`) appears at most once per paper, so listening never
+ *   repeats a reading passage
+ */
+
+class ExamGenerator {
+    constructor() {
+        // Singleton pattern
+        if (ExamGenerator.instance) {
+            return ExamGenerator.instance;
+        }
+
+        // Default blueprint: items drawn per section key
+        this.DEFAULT_BLUEPRINT = {
+            reading: 2,
+            synonyms: 10,
+            terms: 10,
+            grammar: 10,
+            writing: 1,
+            listening: 0
+        };
+
+        // Set singleton instance
+        ExamGenerator.instance = this;
+    }
+
+    /**
+     * Create a random seed code (short, easy to read out to a class)
+     * @returns {string}
+     */
+    createSeed() {
+        return Math.random().toString(36).slice(2, 8).toUpperCase();
+    }
+
+    /**
+     * Create a seeded random number generator (mulberry32)
+     * @param {string|number} seed - Seed value
+     * @returns {Function} Returns floats in [0, 1)
+     */
+    createRandom(seed) {
+        let state = this.hashSeed(seed);
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Hash a seed string into a 32-bit integer (FNV-1a)
+     * @param {string|number} seed - Seed value
+     * @returns {number}
+     */
+    hashSeed(seed) {
+        const text = String(seed).trim().toUpperCase();
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Generate an exam paper
+     * @param {Array<Object>} pool - Full exam sections (e.g. from QuestionBank)
+     * @param {Object} blueprint - Items per section key; missing keys keep the whole section
+     * @param {string} seed - Paper seed
+     * @returns {Object} { seed, blueprint, sections }
+     */
+    generatePaper(pool, blueprint = null, seed = null) {
+        const paperSeed = seed ? String(seed).trim().toUpperCase() : this.createSeed();
+        const paperBlueprint = { ...this.DEFAULT_BLUEPRINT, ...(blueprint || {}) };
+        const random = this.createRandom(paperSeed);
+
+        const sections = [];
+        const writingPrompts = [];
+        const usedPassages = new Set();
+        let writingPosition = -1;
+
+        (pool || []).forEach(section => {
+            if (section.writingPrompt) {
+                if (writingPosition < 0) {
+                    writingPosition = sections.length;
+                }
+                writingPrompts.push(section);
+                return;
+            }
+
+            const key = section.key;
+            const count = key in paperBlueprint ? paperBlueprint[key] : (section.questions || []).length;
+            if (!count) {
+                return;
+            }
+
+            // Listening never repeats a reading passage: used passages are not candidates
+            const candidates = (section.questions || [])
+                .filter(question => !question.passageId || !usedPassages.has(question.passageId));
+            const questions = this.pickBalanced(candidates, count, random)
+                .map(question => this.shuffleQuestion(question, random));
+            questions.forEach(question => {
+                if (question.passageId) {
+                    usedPassages.add(question.passageId);
+                }
+            });
+
+            if (questions.length > 0) {
+                sections.push({ ...section, questions: questions });
+            }
+        });
+
+        // Writing: one prompt section per requested item, where the pool puts writing
+        const writingCount = paperBlueprint.writing || 0;
+        const writing = this.shuffle(writingPrompts, random).slice(0, writingCount)
+            .map(section => ({ ...section }));
+        sections.splice(writingPosition < 0 ? sections.length : writingPosition, 0, ...writing);
+
+        // Renumber sections in paper order
+        sections.forEach((section, index) => {
+            section.id = index + 1;
+        });
+
+        return {
+            seed: paperSeed,
+            blueprint: paperBlueprint,
+            sections: sections
+        };
+    }
+
+    /**
+     * Fingerprint a paper's items: question ids, option order and answers
+     * A stored attempt is only reviewed against a regenerated paper with the same
+     * fingerprint (content updates or a fallback pool change the items for a seed)
+     * @param {Array<Object>} sections - Paper sections
+     * @returns {string}
+     */
+    getPaperFingerprint(sections) {
+        const describe = (question) => [
+            question.id ?? null,
+            question.options || null,
+            question.correct ?? question.answer ?? null,
+            Array.isArray(question.questions) ? question.questions.map(describe) : null
+        ];
+        const items = (sections || [])
+            .filter(section => Array.isArray(section.questions))
+            .map(section => [section.key || null, section.questions.map(describe)]);
+
+        return this.hashSeed(JSON.stringify(items)).toString(36);
+    }
+
+    /**
+     * Pick items balanced across unit/difficulty groups
+     * Groups are shuffled, then drawn round-robin so no single group dominates
+     * @param {Array<Object>} items - Candidate questions
+     * @param {number} count - Number of items to pick
+     * @param {Function} random - Seeded random function
+     * @returns {Array<Object>}
+     */
+    pickBalanced(items, count, random) {
+        const groups = new Map();
+        items.forEach(item => {
+            const groupKey = `${item.unit || ''}|${item.difficulty || ''}`;
+            if (!groups.has(groupKey)) {
+                groups.set(groupKey, []);
+            }
+            groups.get(groupKey).push(item);
+        });
+
+        const queues = this.shuffle(Array.from(groups.values()), random)
+            .map(group => this.shuffle(group, random));
+
+        const picked = [];
+        const limit = Math.min(count, items.length);
+        while (picked.length < limit) {
+            for (const queue of queues) {
+                if (queue.length > 0 && picked.length < limit) {
+                    picked.push(queue.shift());
+                }
+            }
+        }
+
+        return this.shuffle(picked, random);
+    }
+
+    /**
+     * Shuffle a question's options and remap its correct index
+     * Reading and listening questions shuffle each MCQ sub-question
+     * @param {Object} question - Question definition
+     * @param {Function} random - Seeded random function
+     * @returns {Object} New question object
+     */
+    shuffleQuestion(question, random) {
+        if (Array.isArray(question.questions)) {
+            return {
+                ...question,
+                questions: question.questions.map(sub => this.shuffleQuestion(sub, random))
+            };
+        }
+
+        if (!Array.isArray(question.options) || typeof question.correct !== 'number') {
+            return { ...question };
+        }
+
+        const order = this.shuffle(question.options.map((_, index) => index), random);
+        return {
+            ...question,
+            options: order.map(index => question.options[index]),
+            correct: order.indexOf(question.correct)
+        };
+    }
+
+    /**
+     * Fisher-Yates shuffle (returns a new array)
+     * @param {Array} items - Items to shuffle
+     * @param {Function} random - Seeded random function
+     * @returns {Array}
+     */
+    shuffle(items, random) {
+        const result = items.slice();
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+}
+
+// Create and export singleton instance
+const examGenerator = new ExamGenerator();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = examGenerator;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.ExamGenerator = examGenerator;
+}
@@ -0,0 +1,335 @@
+/**
+ * Exam Scoring - Answer-based scoring engine for the exam simulator
+ *
+ * Features:
+ * - Compares recorded answers against each question's `correct` / `answer`
+ * - Nested reading and listening passages (one point per sub-question)
+ * - MCQ, true/false and free-text technical term answers
+ * - Per-section totals and overall percentage
+ * - Time taken computed from the exam start time
+ */
+
+class ExamScoring {
+    constructor() {
+        // Singleton pattern
+        if (ExamScoring.instance) {
+            return ExamScoring.instance;
+        }
+
+        // Section keys used by the results screen, mapped from question types
+        this.SECTION_KEYS = {
+            reading: 'reading',
+            synonym: 'synonyms',
+            term: 'terms',
+            grammar: 'grammar',
+            listening: 'listening'
+        };
+
+        // Points available for the writing section
+        this.WRITING_POINTS = 10;
+
+        // Optional external writing grader (see setWritingGrader)
+        this.writingGrader = null;
+
+        // Set singleton instance
+        ExamScoring.instance = this;
+    }
+
+    /**
+     * Build the answer key for a reading or listening sub-question
+     * @param {number|string} questionId - Parent passage question id
+     * @param {number} subIndex - Sub-question index
+     * @returns {string}
+     */
+    getSubAnswerKey(questionId, subIndex) {
+        return `${questionId}_${subIndex}`;
+    }
+
+    /**
+     * Resolve the results key for a section
+     * @param {Object} section - Exam section
+     * @returns {string}
+     */
+    getSectionKey(section) {
+        if (section.key) {
+            return section.key;
+        }
+        if (section.writingPrompt) {
+            return 'writing';
+        }
+
+        const firstQuestion = (section.questions || [])[0];
+        return (firstQuestion && this.SECTION_KEYS[firstQuestion.type]) || `section${section.id}`;
+    }
+
+    /**
+     * Score a full exam attempt
+     * @param {Object} examData - Exam definition ({ sections: [...] })
+     * @param {Object} examState - Exam state with answers, writingContent and startTime
+     * @param {number} endTime - Optional finish timestamp (defaults to now)
+     * @returns {Object} Results keyed by section plus overall totals
+     */
+    scoreExam(examData, examState, endTime = Date.now()) {
+        const results = {};
+        let totalScore = 0;
+        let totalPossible = 0;
+        let correctCount = 0;
+        let wrongCount = 0;
+        let unansweredCount = 0;
+
+        (examData.sections || []).forEach(section => {
+            const key = this.getSectionKey(section);
+            const sectionResult = section.writingPrompt
+                ? this.scoreWriting(section, examState.writingContent || '')
+                : this.scoreSection(section, examState.answers || {});
+
+            results[key] = sectionResult;
+            totalScore += sectionResult.score;
+            totalPossible += sectionResult.total;
+
+            if (sectionResult.items) {
+                sectionResult.items.forEach(item => {
+                    if (!item.answered) {
+                        unansweredCount++;
+                    } else if (item.correct) {
+                        correctCount++;
+                    } else {
+                        wrongCount++;
+                    }
+                });
+            }
+        });
+
+        const elapsedMs = examState.startTime ? Math.max(0, endTime - examState.startTime) : 0;
+
+        return {
+            ...results,
+            total: totalScore,
+            totalPossible: totalPossible,
+            totalPercent: this.toPercent(totalScore, totalPossible),
+            correctCount: correctCount,
+            wrongCount: wrongCount,
+            unansweredCount: unansweredCount,
+            timeTakenMs: elapsedMs,
+            timeTaken: this.formatDuration(elapsedMs)
+        };
+    }
+
+    /**
+     * Score an objective section (reading, synonyms, terms, grammar, listening)
+     * @param {Object} section - Exam section
+     * @param {Object} answers - Answers keyed by question id
+     * @returns {Object} { score, total, percent, items }
+     */
+    scoreSection(section, answers) {
+        const items = [];
+
+        (section.questions || []).forEach(question => {
+            if (Array.isArray(question.questions)) {
+                question.questions.forEach((subQuestion, subIndex) => {
+                    const answerKey = this.getSubAnswerKey(question.id, subIndex);
+                    items.push(this.scoreQuestion(subQuestion, answers[answerKey], answerKey));
+                });
+            } else {
+                items.push(this.scoreQuestion(question, answers[question.id], String(question.id)));
+            }
+        });
+
+        const score = items.filter(item => item.correct).length;
+
+        return {
+            score: score,
+            total: items.length,
+            percent: this.toPercent(score, items.length),
+            items: items
+        };
+    }
+
+    /**
+     * Score a single question
+     * @param {Object} question - Question definition
+     * @param {any} answer - Recorded answer (radio value or typed text)
+     * @param {string} answerKey - Key the answer is stored under
+     * @returns {Object} { answerKey, answered, correct, answer, expected }
+     */
+    scoreQuestion(question, answer, answerKey) {
+        const answered = answer !== undefined && answer !== null && String(answer).trim() !== '';
+        let correct = false;
+        let expected;
+
+        if (question.type === 'term' || (question.answer !== undefined && !question.options)) {
+            expected = question.answer;
+            correct = answered && this.isTermMatch(answer, question.answer, question.accept);
+        } else if (question.type === 'tf' || typeof question.correct === 'boolean') {
+            expected = question.correct;
+            correct = answered && this.toBoolean(answer) === question.correct;
+        } else {
+            expected = question.correct;
+            correct = answered && Number(answer) === Number(question.correct);
+        }
+
+        return {
+            answerKey: answerKey,
+            answered: answered,
+            correct: correct,
+            answer: answered ? answer : null,
+            expected: expected
+        };
+    }
+
+    /**
+     * Compare a typed term against the expected term
+     * Accepts the full term, its abbreviation in brackets, or any listed alternative
+     * @param {string} answer - Typed answer
+     * @param {string} expected - Expected term, e.g. 'Artificial Intelligence (AI)'
+     * @param {Array<string>} accept - Optional alternative spellings
+     * @returns {boolean}
+     */
+    isTermMatch(answer, expected, accept = []) {
+        if (typeof expected !== 'string') {
+            return false;
+        }
+
+        const given = this.normalizeTerm(answer);
+        if (!given) {
+            return false;
+        }
+
+        const candidates = [expected, ...(accept || [])];
+        const bracketMatch = expected.match(/^(.*?)\s*\(([^)]+)\)\s*$/);
+        if (bracketMatch) {
+            candidates.push(bracketMatch[1], bracketMatch[2]);
+        }
+
+        return candidates.some(candidate => this.normalizeTerm(candidate) === given);
+    }
+
+    /**
+     * Normalize a term for comparison (case, punctuation, whitespace)
+     * @param {string} value - Raw term
+     * @returns {string}
+     */
+    normalizeTerm(value) {
+        return String(value || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9\s]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Convert a radio value to a boolean
+     * @param {any} value - 'true' / 'false' / boolean
+     * @returns {boolean|null}
+     */
+    toBoolean(value) {
+        if (typeof value === 'boolean') {
+            return value;
+        }
+        if (value === 'true') {
+            return true;
+        }
+        if (value === 'false') {
+            return false;
+        }
+        return null;
+    }
+
+    /**
+     * Register an external writing grader
+     * @param {Function} grader - (text, section) => { score, total }
+     */
+    setWritingGrader(grader) {
+        this.writingGrader = typeof grader === 'function' ? grader : null;
+    }
+
+    /**
+     * Score the writing section
+     * Uses the registered grader when available, otherwise a basic requirement check
+     * @param {Object} section - Writing section
+     * @param {string} text - Student paragraph
+     * @returns {Object} { score, total, percent }
+     */
+    scoreWriting(section, text) {
+        if (this.writingGrader) {
+            try {
+                const graded = this.writingGrader(text, section);
+                if (graded && typeof graded.score === 'number') {
+                    const total = graded.total || this.WRITING_POINTS;
+                    return {
+                        ...graded,
+                        score: graded.score,
+                        total: total,
+                        percent: this.toPercent(graded.score, total)
+                    };
+                }
+            } catch (error) {
+                console.error('ExamScoring: Writing grader failed:', error);
+            }
+        }
+
+        const trimmed = (text || '').trim();
+        if (!trimmed) {
+            return { score: 0, total: this.WRITING_POINTS, percent: 0 };
+        }
+
+        const words = trimmed.split(/\s+/).filter(w => w.length > 0);
+        const sentences = trimmed.split(/[.!?]+/).filter(s => s.trim().length > 0);
+        const lower = trimmed.toLowerCase();
+        const terms = section.terms || ['threat', 'vulnerability', 'attack', 'cybersecurity', 'firewall', 'encryption'];
+        const termCount = terms.filter(term => lower.includes(term.toLowerCase())).length;
+        const minWords = section.minWords || 50;
+        const minSentences = section.minSentences || 5;
+        const minTerms = section.minTerms || 3;
+
+        // 4 points for length, 3 for sentence count, 3 for technical terms
+        const score =
+            Math.round(Math.min(words.length / minWords, 1) * 4) +
+            Math.round(Math.min(sentences.length / minSentences, 1) * 3) +
+            Math.round(Math.min(termCount / minTerms, 1) * 3);
+
+        return {
+            score: score,
+            total: this.WRITING_POINTS,
+            percent: this.toPercent(score, this.WRITING_POINTS),
+            wordCount: words.length,
+            sentenceCount: sentences.length,
+            termCount: termCount
+        };
+    }
+
+    /**
+     * Percentage helper
+     * @param {number} score - Points earned
+     * @param {number} total - Points available
+     * @returns {number}
+     */
+    toPercent(score, total) {
+        return total > 0 ? Math.round((score / total) * 100) : 0;
+    }
+
+    /**
+     * Format a duration as mm:ss
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string}
+     */
+    formatDuration(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    }
+}
+
+// Create and export singleton instance
+const examScoring = new ExamScoring();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = examScoring;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.ExamScoring = examScoring;
+}
@@ -0,0 +1,183 @@
+/**
+ * Exam State Store - Versioned save/restore for the exam simulator
+ *
+ * Features:
+ * - Round-trips Sets (flagged questions) that JSON.stringify would turn into {}
+ * - Drops live timer handles and keeps per-section remaining time instead
+ * - Versioned format with step-by-step migrations from older saves
+ * - Detects corrupt saves and discards them instead of crashing the page
+ */
+
+class ExamStateStore {
+    constructor() {
+        // Singleton pattern
+        if (ExamStateStore.instance) {
+            return ExamStateStore.instance;
+        }
+
+        this.STORAGE_KEY = 'examState';
+        this.VERSION = 2;
+
+        // Migrations: MIGRATIONS[n] upgrades a version n payload to version n + 1
+        this.MIGRATIONS = {
+            1: (data) => this.migrateV1(data)
+        };
+
+        // Set singleton instance
+        ExamStateStore.instance = this;
+    }
+
+    /**
+     * Convert a live exam state into a plain, versioned object
+     * @param {Object} state - Live exam state
+     * @returns {Object}
+     */
+    serialize(state) {
+        const { timers, flaggedQuestions, ...rest } = state;
+        return {
+            ...rest,
+            version: this.VERSION,
+            savedAt: Date.now(),
+            flaggedQuestions: Array.from(flaggedQuestions || []),
+            sectionTimeRemaining: { ...(state.sectionTimeRemaining || {}) }
+        };
+    }
+
+    /**
+     * Rebuild a live exam state from a serialized object
+     * @param {Object} data - Serialized state (any supported version)
+     * @returns {Object|null} Live state, or null if the data is corrupt
+     */
+    deserialize(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return null;
+        }
+
+        let payload = data;
+        let version = typeof payload.version === 'number' ? payload.version : 1;
+
+        if (version > this.VERSION) {
+            console.warn('ExamStateStore: Saved state is from a newer version:', version);
+            return null;
+        }
+
+        while (version < this.VERSION) {
+            const migrate = this.MIGRATIONS[version];
+            if (!migrate) {
+                return null;
+            }
+            payload = migrate(payload);
+            version++;
+        }
+
+        if (!this.isValid(payload)) {
+            return null;
+        }
+
+        const state = { ...payload };
+        delete state.version;
+        delete state.savedAt;
+
+        return {
+            ...state,
+            flaggedQuestions: new Set(payload.flaggedQuestions),
+            sectionTimeRemaining: { ...payload.sectionTimeRemaining },
+            timers: {}
+        };
+    }
+
+    /**
+     * Version 1 saves were the raw examState passed through JSON.stringify:
+     * the flagged Set became {} and there was no remaining-time record
+     * @param {Object} data - Version 1 payload
+     * @returns {Object} Version 2 payload
+     */
+    migrateV1(data) {
+        const flagged = Array.isArray(data.flaggedQuestions) ? data.flaggedQuestions : [];
+        const { timers, ...rest } = data;
+        return {
+            ...rest,
+            version: 2,
+            flaggedQuestions: flagged,
+            // Unknown for old saves: the resumed section restarts with its full time
+            sectionTimeRemaining: {}
+        };
+    }
+
+    /**
+     * Check the shape of a current-version payload
+     * @param {Object} payload - Serialized state
+     * @returns {boolean}
+     */
+    isValid(payload) {
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        return Number.isInteger(payload.currentSection) && payload.currentSection >= 0 &&
+            Number.isInteger(payload.currentQuestion) && payload.currentQuestion >= 0 &&
+            isObject(payload.answers) &&
+            Array.isArray(payload.flaggedQuestions) &&
+            isObject(payload.sectionTimeRemaining) &&
+            (payload.startTime === null || typeof payload.startTime === 'number') &&
+            (payload.writingContent === undefined || typeof payload.writingContent === 'string');
+    }
+
+    /**
+     * Save an exam state to localStorage
+     * @param {Object} state - Live exam state
+     * @returns {boolean}
+     */
+    save(state) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.serialize(state)));
+            return true;
+        } catch (error) {
+            console.error('ExamStateStore: Failed to save exam state:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load the saved exam state
+     * Corrupt or unsupported saves are removed so they cannot break the page again
+     * @returns {Object|null}
+     */
+    load() {
+        const raw = localStorage.getItem(this.STORAGE_KEY);
+        if (!raw) {
+            return null;
+        }
+
+        let state = null;
+        try {
+            state = this.deserialize(JSON.parse(raw));
+        } catch (error) {
+            console.error('ExamStateStore: Failed to parse exam state:', error);
+        }
+
+        if (!state) {
+            console.warn('ExamStateStore: Discarding corrupt or unsupported exam state');
+            this.clear();
+        }
+        return state;
+    }
+
+    /**
+     * Remove the saved exam state
+     */
+    clear() {
+        localStorage.removeItem(this.STORAGE_KEY);
+    }
+}
+
+// Create and export singleton instance
+const examStateStore = new ExamStateStore();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = examStateStore;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.ExamStateStore = examStateStore;
+}
@@ -7,6 +7,15 @@ class ProgressTracker {
     constructor() {
         this.STORAGE_PREFIX = 'it_english_progress_';
         this.langSystem = window.LanguageSystem;
+
+        // Time tracking: start of the current practice session per section
+        this.sessionMarks = {};
+        this.MAX_SESSION_GAP = 15 * 60 * 1000; // Ignore idle time beyond 15 minutes
+        this.MAX_ACTIVE_DAYS = 366;
+
+        // Exam attempt history (shared by all modes, each attempt records its mode)
+        this.HISTORY_KEY = 'it_english_exam_history';
+        this.MAX_EXAM_HISTORY = 20;
     }
 
     /**
@@ -68,6 +77,113 @@ class ProgressTracker {
         return this.saveProgress(progress);
     }
 
+    /**
+     * Start timing a practice session for a section
+     */
+    startSession(section) {
+        this.sessionMarks[section] = Date.now();
+    }
+
+    /**
+     * Time spent since the last mark for a section (resets the mark)
+     */
+    consumeSessionTime(section) {
+        const now = Date.now();
+        const mark = this.sessionMarks[section];
+        this.sessionMarks[section] = now;
+
+        if (!mark) {
+            return 0;
+        }
+        return Math.min(now - mark, this.MAX_SESSION_GAP);
+    }
+
+    /**
+     * Record a practice result for a section
+     * Accumulates answers and time spent, and marks the section as completed
+     * @param {string} section - Section id ('reading', 'synonyms', 'technicalTerms', 'grammar', 'exam')
+     * @param {Object} result - { correct, total, activity, timeSpent }
+     */
+    recordActivity(section, result = {}) {
+        const progress = this.getProgress();
+        const correct = result.correct || 0;
+        const total = result.total || 0;
+        const timeSpent = typeof result.timeSpent === 'number'
+            ? result.timeSpent
+            : this.consumeSessionTime(section);
+        const score = total > 0 ? Math.round((correct / total) * 100) : null;
+
+        if (!progress.sections) {
+            progress.sections = {};
+        }
+
+        const current = progress.sections[section] || {};
+        const answered = (current.answered || 0) + total;
+        const correctTotal = (current.correct || 0) + correct;
+
+        // Per-activity breakdown (e.g. 'matching', 'quizTyping')
+        const activities = { ...(current.activities || {}) };
+        if (result.activity) {
+            const activity = activities[result.activity] || { attempts: 0, correct: 0, total: 0 };
+            activities[result.activity] = {
+                attempts: activity.attempts + 1,
+                correct: activity.correct + correct,
+                total: activity.total + total,
+                lastScore: score
+            };
+        }
+
+        progress.sections[section] = {
+            ...current,
+            attempts: (current.attempts || 0) + 1,
+            answered: answered,
+            correct: correctTotal,
+            accuracy: answered > 0 ? Math.round((correctTotal / answered) * 100) : 0,
+            timeSpent: (current.timeSpent || 0) + timeSpent,
+            lastScore: score,
+            bestScore: score !== null ? Math.max(score, current.bestScore || 0) : (current.bestScore || null),
+            activities: activities,
+            lastUpdated: Date.now()
+        };
+
+        progress.totalTimeSpent = (progress.totalTimeSpent || 0) + timeSpent;
+
+        if (!Array.isArray(progress.completedSections)) {
+            progress.completedSections = [];
+        }
+        if (!progress.completedSections.includes(section)) {
+            progress.completedSections.push(section);
+        }
+
+        this.markActiveDay(progress);
+
+        return this.saveProgress(progress);
+    }
+
+    /**
+     * Add today's date to the list of active days (used for streaks)
+     */
+    markActiveDay(progress) {
+        const today = this.getDateKey(new Date());
+        const days = Array.isArray(progress.activeDays) ? progress.activeDays : [];
+
+        if (!days.includes(today)) {
+            days.push(today);
+        }
+
+        progress.activeDays = days.slice(-this.MAX_ACTIVE_DAYS);
+        return progress;
+    }
+
+    /**
+     * Local date key (YYYY-MM-DD)
+     */
+    getDateKey(date) {
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        const day = date.getDate().toString().padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
     /**
      * Get section progress
      */
@@ -88,6 +204,134 @@ class ProgressTracker {
         return this.saveProgress(progress);
     }
 
+    /**
+     * Append an exam attempt to the history and store it as the latest result
+     * Only the seed and blueprint are kept for the paper: it is regenerated from them
+     * when the attempt is opened again
+     * @param {Object} attempt - { results, answers, flagged, writingContent, seed, blueprint, startTime, endTime }
+     * @returns {Object|null} Stored attempt (with id, date and mode) or null on failure
+     */
+    saveExamAttempt(attempt) {
+        const mode = this.langSystem ? this.langSystem.getMode() : 'exam';
+        const stored = this.compactExamAttempt({
+            ...attempt,
+            id: attempt.id || `attempt_${Date.now()}`,
+            date: attempt.endTime || Date.now(),
+            mode: attempt.mode || mode
+        });
+
+        const history = this.getExamHistory()
+            .filter(item => item.id !== stored.id)
+            .map(item => this.compactExamAttempt(item));
+        history.push(stored);
+
+        if (!this.writeExamHistory(history.slice(-this.MAX_EXAM_HISTORY))) {
+            return null;
+        }
+
+        this.saveExamResults(stored.results);
+        return stored;
+    }
+
+    /**
+     * Keep the fields needed to show an attempt again
+     * (attempts saved by older versions also carried the full generated sections)
+     * @param {Object} attempt - Exam attempt
+     * @returns {Object}
+     */
+    compactExamAttempt(attempt) {
+        return {
+            id: attempt.id,
+            date: attempt.date,
+            mode: attempt.mode,
+            seed: attempt.seed || null,
+            blueprint: attempt.blueprint || null,
+            paperFingerprint: attempt.paperFingerprint || null,
+            results: attempt.results,
+            answers: attempt.answers || {},
+            flagged: attempt.flagged || [],
+            writingContent: attempt.writingContent || '',
+            startTime: attempt.startTime,
+            endTime: attempt.endTime
+        };
+    }
+
+    /**
+     * Write the exam history, dropping the oldest attempts while storage is full
+     * @param {Array<Object>} history - Attempts, oldest first
+     * @returns {boolean} false if even the newest attempt could not be saved
+     */
+    writeExamHistory(history) {
+        let remaining = history;
+
+        while (remaining.length > 0) {
+            try {
+                localStorage.setItem(this.HISTORY_KEY, JSON.stringify(remaining));
+                return true;
+            } catch (error) {
+                if (!this.isQuotaError(error) || remaining.length === 1) {
+                    console.error('ProgressTracker: Failed to save exam attempt:', error);
+                    return false;
+                }
+                console.warn('ProgressTracker: Storage full, dropping the oldest exam attempt');
+                remaining = remaining.slice(1);
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * @param {Error} error - Error thrown by localStorage.setItem
+     * @returns {boolean} Whether the storage quota was exceeded
+     */
+    isQuotaError(error) {
+        return !!error && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 ||
+            error.code === 1014
+        );
+    }
+
+    /**
+     * Get exam attempt history (oldest first)
+     * @param {string} mode - Optional mode filter
+     * @returns {Array<Object>}
+     */
+    getExamHistory(mode = null) {
+        try {
+            const data = localStorage.getItem(this.HISTORY_KEY);
+            const history = data ? JSON.parse(data) : [];
+            if (!Array.isArray(history)) {
+                return [];
+            }
+            return mode ? history.filter(item => item.mode === mode) : history;
+        } catch (error) {
+            console.error('ProgressTracker: Failed to load exam history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get a single exam attempt by id
+     */
+    getExamAttempt(id) {
+        return this.getExamHistory().find(item => item.id === id) || null;
+    }
+
+    /**
+     * Score trend across attempts: [{ id, date, mode, percent }]
+     */
+    getExamTrend(mode = null) {
+        return this.getExamHistory(mode).map(item => ({
+            id: item.id,
+            date: item.date,
+            mode: item.mode,
+            percent: item.results ? item.results.totalPercent : 0
+        }));
+    }
+
     /**
      * Get exam results
      */
@@ -111,12 +355,19 @@ class ProgressTracker {
     }
 
     /**
-     * Clear progress for current mode
+     * Clear progress for current mode, including that mode's exam attempts
      */
     clearProgress() {
         const key = this.getProgressKey();
+        const mode = this.langSystem ? this.langSystem.getMode() : 'exam';
         try {
             localStorage.removeItem(key);
+            const remaining = this.getExamHistory().filter(item => item.mode !== mode);
+            if (remaining.length > 0) {
+                localStorage.setItem(this.HISTORY_KEY, JSON.stringify(remaining));
+            } else {
+                localStorage.removeItem(this.HISTORY_KEY);
+            }
             return true;
         } catch (error) {
             console.error('ProgressTracker: Failed to clear progress:', error);
@@ -141,6 +392,13 @@ class ProgressTracker {
             }
         });
 
+        try {
+            localStorage.removeItem(this.HISTORY_KEY);
+        } catch (error) {
+            console.error('ProgressTracker: Failed to clear exam history:', error);
+            success = false;
+        }
+
         return success;
     }
 
@@ -154,6 +412,7 @@ class ProgressTracker {
             lastExamDate: null,
             totalTimeSpent: 0,
             completedSections: [],
+            activeDays: [],
             createdAt: Date.now(),
             lastUpdated: Date.now()
         };
@@ -197,11 +456,59 @@ class ProgressTracker {
             progress = this.getProgress(mode);
         }
 
+        const exam = progress.examResults;
+
         return {
             sectionsCompleted: (progress.completedSections || []).length,
             totalTimeSpent: progress.totalTimeSpent || 0,
             lastActivity: progress.lastUpdated,
-            hasExamResults: !!progress.examResults
+            hasExamResults: !!exam,
+            accuracy: this.getOverallAccuracy(progress),
+            streak: this.getStreak(progress),
+            lastExamPercent: exam && typeof exam.totalPercent === 'number' ? exam.totalPercent : null
+        };
+    }
+
+    /**
+     * Overall accuracy across all recorded sections
+     */
+    getOverallAccuracy(progress = null) {
+        const sections = Object.values((progress || this.getProgress()).sections || {});
+        const answered = sections.reduce((sum, section) => sum + (section.answered || 0), 0);
+        const correct = sections.reduce((sum, section) => sum + (section.correct || 0), 0);
+        return answered > 0 ? Math.round((correct / answered) * 100) : null;
+    }
+
+    /**
+     * Current and longest streak of consecutive active days
+     */
+    getStreak(progress = null) {
+        const days = ((progress || this.getProgress()).activeDays || []).slice().sort();
+        if (days.length === 0) {
+            return { current: 0, longest: 0 };
+        }
+
+        const DAY = 24 * 60 * 60 * 1000;
+        const toTime = (key) => {
+            const [year, month, day] = key.split('-').map(Number);
+            return new Date(year, month - 1, day).getTime();
+        };
+
+        let longest = 1;
+        let run = 1;
+        for (let i = 1; i < days.length; i++) {
+            const gap = Math.round((toTime(days[i]) - toTime(days[i - 1])) / DAY);
+            run = gap === 1 ? run + 1 : 1;
+            longest = Math.max(longest, run);
+        }
+
+        // The current streak only counts if the last active day is today or yesterday
+        const today = toTime(this.getDateKey(new Date()));
+        const sinceLast = Math.round((today - toTime(days[days.length - 1])) / DAY);
+
+        return {
+            current: sinceLast <= 1 ? run : 0,
+            longest: longest
         };
     }
 }
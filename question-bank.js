@@ -0,0 +1,342 @@
+/**
+ * Question Bank - Builds exam sections from the data/ JSON files
+ *
+ * Features:
+ * - Loads question banks through ContentLibrary.loadDataFile (shared, memoized)
+ * - Converts reading texts, synonyms, technical terms and grammar
+ *   exercises into the exam simulator's section/question format
+ * - Listening items: each reading text's own `listening` passage (never the reading
+ *   passage itself) voiced by SpeechService, hidden and with a limited number of plays
+ * - Stable, unique question ids per bank item
+ * - Falls back gracefully when a file cannot be loaded
+ */
+
+class QuestionBank {
+    constructor() {
+        // Singleton pattern
+        if (QuestionBank.instance) {
+            return QuestionBank.instance;
+        }
+
+        // Bank files (relative to ContentLibrary.DATA_PATH)
+        this.FILES = {
+            reading: 'reading-texts.json',
+            synonyms: 'synonyms.json',
+            terms: 'technical-terms.json',
+            grammar: 'grammar-exercises.json'
+        };
+
+        // Number of options shown for generated synonym questions
+        this.SYNONYM_OPTIONS = 4;
+
+        // How many times a listening passage may be played
+        this.LISTENING_PLAY_LIMIT = 2;
+
+        // Raw bank data, keyed like FILES
+        this.banks = {};
+
+        // Loading promise (prevent duplicate requests)
+        this.loadingPromise = null;
+
+        // Set singleton instance
+        QuestionBank.instance = this;
+    }
+
+    /**
+     * Load all bank files
+     * @returns {Promise<Object>} Raw bank data keyed by bank name
+     */
+    async load() {
+        if (this.loadingPromise) {
+            return this.loadingPromise;
+        }
+
+        const contentLib = typeof window !== 'undefined' ? window.ContentLibrary : null;
+        if (!contentLib) {
+            return Promise.reject(new Error('QuestionBank: ContentLibrary not available'));
+        }
+
+        const entries = Object.entries(this.FILES);
+        this.loadingPromise = Promise.all(entries.map(([name, file]) =>
+            contentLib.loadDataFile(file)
+                .catch(error => {
+                    console.warn(`QuestionBank: Could not load ${file}:`, error);
+                    return null;
+                })
+        )).then(results => {
+            entries.forEach(([name], index) => {
+                this.banks[name] = results[index];
+            });
+            return this.banks;
+        });
+
+        return this.loadingPromise;
+    }
+
+    /**
+     * Build exam sections from the loaded banks
+     * Sections whose bank failed to load are taken from the fallback sections
+     * @param {Array<Object>} fallbackSections - Inline exam sections
+     * @returns {Promise<Array<Object>>}
+     */
+    async buildExamSections(fallbackSections = []) {
+        await this.load();
+
+        // Match inline sections by the type of their questions
+        const fallback = (type) => fallbackSections.find(section =>
+            section && Array.isArray(section.questions) &&
+            section.questions.length > 0 && section.questions[0].type === type
+        ) || null;
+
+        const built = [
+            this.withQuestions(fallback('reading'), { id: 1, key: 'reading', name: 'فهم المقروء', time: 20 }, this.buildReadingQuestions()),
+            this.withQuestions(fallback('synonym'), { id: 2, key: 'synonyms', name: 'المرادفات', time: 15 }, this.buildSynonymQuestions()),
+            this.withQuestions(fallback('term'), { id: 3, key: 'terms', name: 'المصطلحات التقنية', time: 15 }, this.buildTermQuestions()),
+            this.withQuestions(fallback('grammar'), { id: 4, key: 'grammar', name: 'القواعد', time: 15 }, this.buildGrammarQuestions())
+        ];
+
+        // Writing prompts are not part of the data banks
+        const writing = fallbackSections.find(section => section && section.writingPrompt);
+        if (writing) {
+            built.push({ key: 'writing', ...writing });
+        }
+
+        // Optional sixth section (the blueprint decides whether it is used)
+        built.push(this.withQuestions(fallback('listening'),
+            { id: 6, key: 'listening', name: 'الاستماع', time: 10, optional: true },
+            this.buildListeningQuestions()));
+
+        return built.filter(Boolean);
+    }
+
+    /**
+     * Merge generated questions into a section definition
+     * @param {Object|null} fallbackSection - Inline section, if any
+     * @param {Object} defaults - Section defaults
+     * @param {Array<Object>} questions - Generated questions
+     * @returns {Object|null}
+     */
+    withQuestions(fallbackSection, defaults, questions) {
+        const base = { ...defaults, ...(fallbackSection || {}) };
+        if (questions.length > 0) {
+            return { ...base, questions: questions };
+        }
+        return fallbackSection ? base : null;
+    }
+
+    /**
+     * Reading texts -> one reading question per text with MCQ/TF sub-questions
+     * @returns {Array<Object>}
+     */
+    buildReadingQuestions() {
+        const data = this.banks.reading;
+        if (!data || !Array.isArray(data.texts)) {
+            return [];
+        }
+
+        return data.texts.map(text => ({
+            id: `reading-${text.id}`,
+            type: 'reading',
+            text: `اقرأ النص التالي ثم أجب على الأسئلة: ${text.title}`,
+            content: this.getPassageText(text),
+            passageId: text.id,
+            source: text.source,
+            unit: text.source,
+            questions: this.buildPassageSubQuestions(text.questions)
+        })).filter(question => question.questions.length > 0);
+    }
+
+    /**
+     * Listening passages of the reading texts -> one listening question each
+     * The script is kept in `transcript` (spoken, never shown during the exam).
+     * Texts without a `listening` block have no listening item: the reading
+     * passage and its questions are never reused for listening
+     * @returns {Array<Object>}
+     */
+    buildListeningQuestions() {
+        const data = this.banks.reading;
+        if (!data || !Array.isArray(data.texts)) {
+            return [];
+        }
+
+        return data.texts.filter(text => text.listening).map(text => ({
+            id: `listening-${text.listening.id}`,
+            type: 'listening',
+            text: `استمع إلى النص ثم أجب على الأسئلة: ${text.listening.title || text.title}`,
+            transcript: (text.listening.script || []).join(' '),
+            playLimit: this.LISTENING_PLAY_LIMIT,
+            passageId: text.listening.id,
+            source: text.source,
+            unit: text.source,
+            questions: this.buildPassageSubQuestions(text.listening.questions)
+        })).filter(question => question.transcript && question.questions.length > 0);
+    }
+
+    /**
+     * MCQ and true/false sub-questions of a passage
+     * @param {Object} questions - { mcq, tf } from the data file
+     * @returns {Array<Object>}
+     */
+    buildPassageSubQuestions(questions) {
+        const mcq = ((questions && questions.mcq) || []).map(q => ({
+            id: q.id,
+            type: 'mcq',
+            text: q.text,
+            options: q.options,
+            correct: q.correct,
+            explanation: q.explanation || ''
+        }));
+        const tf = ((questions && questions.tf) || []).map(q => ({
+            id: q.id,
+            type: 'tf',
+            text: q.text,
+            correct: q.correct,
+            explanation: q.explanation || ''
+        }));
+        return [...mcq, ...tf];
+    }
+
+    /**
+     * Full passage text (content may be a list of paragraphs)
+     * @param {Object} text - Reading text entry
+     * @returns {string}
+     */
+    getPassageText(text) {
+        return Array.isArray(text.content) ? text.content.join(' ') : text.content;
+    }
+
+    /**
+     * Synonyms -> "What is a synonym for X?" MCQ
+     * Distractors are the first synonyms of other entries
+     * @returns {Array<Object>}
+     */
+    buildSynonymQuestions() {
+        const data = this.banks.synonyms;
+        if (!data || !Array.isArray(data.synonyms)) {
+            return [];
+        }
+
+        const entries = data.synonyms.filter(s => s.term && Array.isArray(s.synonyms) && s.synonyms.length > 0);
+
+        return entries.map((entry, index) => {
+            const distractors = [];
+            for (let step = 1; step < entries.length && distractors.length < this.SYNONYM_OPTIONS - 1; step++) {
+                const other = entries[(index + step * 3) % entries.length];
+                const candidate = other.synonyms[0];
+                if (other !== entry && !entry.synonyms.includes(candidate) && !distractors.includes(candidate)) {
+                    distractors.push(candidate);
+                }
+            }
+
+            // Place the correct option at a position that varies per item
+            const correct = index % (distractors.length + 1);
+            const options = [...distractors];
+            options.splice(correct, 0, entry.synonyms[0]);
+
+            return {
+                id: `syn-${this.slugify(entry.term)}`,
+                type: 'synonym',
+                text: `What is a synonym for '${entry.term}'?`,
+                options: options,
+                correct: correct,
+                explanation: `${entry.term}: ${entry.definition}`,
+                term: entry.term,
+                unit: entry.unit
+            };
+        });
+    }
+
+    /**
+     * Technical terms -> "What is the term for <definition>?" free-text
+     * @returns {Array<Object>}
+     */
+    buildTermQuestions() {
+        const data = this.banks.terms;
+        if (!data || !Array.isArray(data.terms)) {
+            return [];
+        }
+
+        return data.terms.filter(t => t.term && t.definition).map(term => ({
+            id: `term-${this.slugify(term.term)}`,
+            type: 'term',
+            text: `What is the term for '${term.definition}'?`,
+            answer: term.term,
+            explanation: term.example || term.definition,
+            category: term.category,
+            unit: term.unit,
+            difficulty: term.difficulty
+        }));
+    }
+
+    /**
+     * Grammar exercises -> MCQ (tense, blank and countable/uncountable nouns)
+     * @returns {Array<Object>}
+     */
+    buildGrammarQuestions() {
+        const data = this.banks.grammar;
+        if (!data) {
+            return [];
+        }
+
+        const tense = (data.tense_exercises || []).map(ex => ({
+            id: `grammar-tense-${ex.id}`,
+            type: 'grammar',
+            text: ex.question,
+            options: ex.options.map(option => option.text),
+            correct: ex.options.findIndex(option => option.correct),
+            explanation: ex.explanation
+        }));
+
+        const blank = (data.blank_exercises || []).map(ex => ({
+            id: `grammar-blank-${ex.id}`,
+            type: 'grammar',
+            text: ex.sentence,
+            options: ex.options,
+            correct: ex.options.indexOf(ex.correct),
+            explanation: ex.explanation
+        }));
+
+        const nouns = (data.noun_exercises || []).map(ex => {
+            // Alternate the position of the correct sentence
+            const correct = ex.id % 2;
+            const options = correct === 0
+                ? [ex.correct_sentence, ex.wrong_sentence]
+                : [ex.wrong_sentence, ex.correct_sentence];
+            return {
+                id: `grammar-noun-${ex.id}`,
+                type: 'grammar',
+                text: 'Choose the grammatically correct sentence:',
+                options: options,
+                correct: correct,
+                explanation: ex.explanation
+            };
+        });
+
+        return [...tense, ...blank, ...nouns].filter(q => q.correct >= 0);
+    }
+
+    /**
+     * Turn a term into an id-safe slug
+     * @param {string} value - Term
+     * @returns {string}
+     */
+    slugify(value) {
+        return String(value)
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+}
+
+// Create and export singleton instance
+const questionBank = new QuestionBank();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = questionBank;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.QuestionBank = questionBank;
+}
@@ -1,3 +1,5 @@
+import './search-overlay.js';
+
 // ===== Theme Toggle =====
 const themeToggle = document.getElementById('themeToggle');
 const themeIcon = themeToggle ? themeToggle.querySelector('i') : null;
@@ -107,6 +109,99 @@ function initSmoothScroll() {
     });
 }
 
+// ===== Offline Support =====
+function initServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
+}
+
+// ===== Content Updates =====
+function initContentUpdates() {
+    const contentLib = window.ContentLibrary;
+    if (!contentLib || typeof contentLib.subscribe !== 'function') return;
+    
+    contentLib.subscribe((event) => {
+        if (event.type !== 'contentupdate' || document.querySelector('.content-update-banner')) return;
+        
+        const banner = document.createElement('div');
+        banner.className = 'content-update-banner';
+        banner.innerHTML = `
+            <span><i class="fas fa-sync-alt"></i> تتوفر أسئلة ومحتوى جديد!</span>
+            <button class="btn btn-primary btn-sm" data-action="reload">تحديث الصفحة</button>
+            <button class="content-update-close" data-action="close" aria-label="إغلاق">&times;</button>
+        `;
+        banner.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            if (action === 'reload') {
+                window.location.reload();
+            } else if (action === 'close') {
+                banner.remove();
+            }
+        });
+        document.body.appendChild(banner);
+    });
+}
+
+// ===== Global Search =====
+function initGlobalSearch() {
+    const overlay = window.SearchOverlay;
+    if (!overlay) return;
+    
+    overlay.init();
+    
+    // Header button next to the theme toggle
+    if (themeToggle && !document.getElementById('searchToggle')) {
+        const searchButton = document.createElement('button');
+        searchButton.id = 'searchToggle';
+        searchButton.className = 'icon-btn';
+        searchButton.setAttribute('aria-label', 'Search (Ctrl+K)');
+        searchButton.title = 'Ctrl+K';
+        searchButton.innerHTML = '<i class="fas fa-search"></i>';
+        searchButton.addEventListener('click', () => overlay.open());
+        themeToggle.parentNode.insertBefore(searchButton, themeToggle);
+    }
+}
+
+// ===== Highlight #hash Targets (search results) =====
+function highlightHashTarget() {
+    const id = decodeURIComponent(window.location.hash.slice(1));
+    if (!id) return;
+    
+    // Dictionary cards and table rows are rendered after load, so wait for them
+    waitForElement(id, 3000).then(target => {
+        if (!target) return;
+        target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        target.classList.remove('search-highlight');
+        void target.offsetWidth; // restart the animation
+        target.classList.add('search-highlight');
+        setTimeout(() => target.classList.remove('search-highlight'), 2500);
+    });
+}
+
+function waitForElement(id, timeout) {
+    const existing = document.getElementById(id);
+    if (existing) return Promise.resolve(existing);
+    
+    return new Promise(resolve => {
+        const observer = new MutationObserver(() => {
+            const element = document.getElementById(id);
+            if (element) {
+                observer.disconnect();
+                clearTimeout(timer);
+                resolve(element);
+            }
+        });
+        const timer = setTimeout(() => {
+            observer.disconnect();
+            resolve(null);
+        }, timeout);
+        observer.observe(document.body, { childList: true, subtree: true });
+    });
+}
+
 // ===== Initialize Everything =====
 document.addEventListener('DOMContentLoaded', () => {
     try {
@@ -114,6 +209,11 @@ document.addEventListener('DOMContentLoaded', () => {
         initNav();
         animateStats();
         initSmoothScroll();
+        initServiceWorker();
+        initContentUpdates();
+        initGlobalSearch();
+        highlightHashTarget();
+        window.addEventListener('hashchange', highlightHashTarget);
         
         // Theme toggle event
         if (themeToggle) {
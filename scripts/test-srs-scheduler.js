@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/**
+ * Test SRS Scheduler - Checks card merging and SM-2 grading in srs-scheduler.js
+ *
+ * Runs against the real data/ files with an in-memory localStorage.
+ *
+ * Usage: node scripts/test-srs-scheduler.js
+ * Exits with code 1 when a check fails.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const storage = {};
+global.localStorage = {
+    getItem: key => (key in storage ? storage[key] : null),
+    setItem: (key, value) => { storage[key] = String(value); },
+    removeItem: key => { delete storage[key]; }
+};
+global.window = {
+    ContentLibrary: {
+        loadDataFile: async file => JSON.parse(fs.readFileSync(path.join(ROOT, 'data', file), 'utf8'))
+    }
+};
+
+const scheduler = require('../srs-scheduler.js');
+
+const DAY = scheduler.DAY_MS;
+const NOW = new Date(2026, 0, 15, 10, 0, 0).getTime();
+
+const tests = [];
+function test(name, run) {
+    tests.push({ name, run });
+}
+
+test('a word in both data files is a single card', async () => {
+    const cards = await scheduler.loadCards();
+    const ids = new Set();
+    const keys = new Set();
+
+    cards.forEach(card => {
+        assert.ok(!ids.has(card.id), `duplicate id ${card.id}`);
+        ids.add(card.id);
+        scheduler.getTermKeys(card.term).forEach(key => {
+            assert.ok(!keys.has(key), `duplicate word ${card.term}`);
+            keys.add(key);
+        });
+    });
+
+    const hardware = cards.find(card => card.term === 'Hardware');
+    assert.strictEqual(hardware.source, 'term');
+    assert.ok(hardware.mergedIds.includes('synonym:hardware'));
+});
+
+test('merged cards keep the technical term and gain the synonyms', () => {
+    const [card] = scheduler.dedupe([
+        scheduler.normalizeCard({ term: 'Operating System (OS)', definition: 'Runs the computer.', synonyms: ['Platform'] }, 'term'),
+        scheduler.normalizeCard({ term: 'Operating System', definition: 'Other text.', synonyms: ['platform', 'System software'] }, 'synonym')
+    ]);
+
+    assert.strictEqual(card.id, 'term:operating-system-os');
+    assert.strictEqual(card.definition, 'Runs the computer.');
+    assert.deepStrictEqual(card.synonyms, ['Platform', 'System software']);
+    assert.deepStrictEqual(card.mergedIds, ['synonym:operating-system']);
+});
+
+test('a schedule saved under a merged id moves to the kept card', () => {
+    scheduler.reset();
+    scheduler.grade('synonym:router', 'good', NOW);
+
+    scheduler.adoptMergedRecords([{ id: 'term:router', mergedIds: ['synonym:router'] }]);
+
+    assert.strictEqual(scheduler.getRecord('synonym:router'), null);
+    assert.strictEqual(scheduler.getRecord('term:router').repetitions, 1);
+});
+
+test('"hard" on a new card counts as a successful review', () => {
+    scheduler.reset();
+    const record = scheduler.grade('term:firewall', 'hard', NOW);
+
+    assert.strictEqual(record.repetitions, 1);
+    assert.strictEqual(record.interval, 1);
+    assert.ok(record.ease < scheduler.DEFAULT_EASE);
+    assert.strictEqual(record.due, scheduler.startOfDay(NOW) + DAY);
+});
+
+test('repeated "hard" grades keep lengthening the interval', () => {
+    scheduler.reset();
+    let record = null;
+    let time = NOW;
+    const intervals = [];
+
+    for (let i = 0; i < 4; i++) {
+        record = scheduler.grade('term:server', 'hard', time);
+        intervals.push(record.interval);
+        time = record.due;
+    }
+
+    assert.strictEqual(record.repetitions, 4);
+    intervals.slice(1).forEach((interval, index) => {
+        assert.ok(interval > intervals[index], `intervals ${intervals.join(', ')}`);
+    });
+});
+
+test('"hard" stays shorter than "good"', () => {
+    scheduler.reset();
+    scheduler.grade('term:cpu', 'good', NOW);
+    scheduler.grade('term:cpu', 'good', NOW + DAY);
+    const preview = scheduler.previewIntervals('term:cpu', NOW + 4 * DAY);
+
+    assert.ok(preview.hard < preview.good, JSON.stringify(preview));
+    assert.strictEqual(preview.again, 0);
+});
+
+(async () => {
+    let failed = 0;
+
+    for (const { name, run } of tests) {
+        try {
+            await run();
+            console.log(`✓ ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`✗ ${name}\n    ${error.message}`);
+        }
+    }
+
+    console.log(`\n${tests.length - failed} passed, ${failed} failed`);
+    process.exitCode = failed > 0 ? 1 : 0;
+})();
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * Update Content Index - Regenerates data/content-index.json
+ *
+ * Lists every data/ and ar-help/ content file with a short content hash.
+ * ContentLibrary compares these hashes on init() to detect updated files.
+ *
+ * Usage: node scripts/update-content-index.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..');
+const CONTENT_DIRS = ['data', 'ar-help'];
+const INDEX_FILE = 'data/content-index.json';
+
+// Not learning content: the PWA manifest and the index itself
+const EXCLUDED = ['data/manifest.json', INDEX_FILE];
+
+function hashFile(filePath) {
+    return crypto.createHash('sha256')
+        .update(fs.readFileSync(filePath))
+        .digest('hex')
+        .slice(0, 12);
+}
+
+function buildIndex() {
+    const files = {};
+
+    CONTENT_DIRS.forEach(dir => {
+        fs.readdirSync(path.join(ROOT, dir))
+            .filter(name => name.endsWith('.json'))
+            .sort()
+            .forEach(name => {
+                const relative = `${dir}/${name}`;
+                if (!EXCLUDED.includes(relative)) {
+                    files[relative] = hashFile(path.join(ROOT, relative));
+                }
+            });
+    });
+
+    return { version: 1, files: files };
+}
+
+const index = buildIndex();
+fs.writeFileSync(path.join(ROOT, INDEX_FILE), `${JSON.stringify(index, null, 2)}\n`);
+console.log(`Updated ${INDEX_FILE} (${Object.keys(index.files).length} files)`);
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Validate Content - Checks data/ and ar-help/ files against content-schemas.js
+ *
+ * Reports missing fields, bad `correct` indices, duplicate terms within a file
+ * (errors) and terms defined in more than one file (warnings).
+ *
+ * Usage: node scripts/validate-content.js
+ * Exits with code 1 when any error is found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const contentSchemas = require('../content-schemas.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function loadFiles() {
+    const files = {};
+    const issues = [];
+
+    Object.keys(contentSchemas.SCHEMAS).forEach(file => {
+        try {
+            files[file] = JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+        } catch (error) {
+            issues.push({ file: file, path: '$', level: 'error', message: error.message });
+        }
+    });
+
+    return { files, issues };
+}
+
+const { files, issues } = loadFiles();
+issues.push(...contentSchemas.validateAll(files));
+
+Object.keys(contentSchemas.SCHEMAS).forEach(file => {
+    const fileIssues = issues.filter(issue => issue.file === file);
+    if (fileIssues.length === 0) {
+        console.log(`✓ ${file}`);
+        return;
+    }
+
+    console.log(`${fileIssues.some(issue => issue.level === 'error') ? '✗' : '!'} ${file}`);
+    fileIssues.forEach(issue => {
+        console.log(`    ${issue.level}: ${issue.path} ${issue.message}`);
+    });
+});
+
+const errorCount = issues.filter(issue => issue.level === 'error').length;
+const warningCount = issues.length - errorCount;
+console.log(`\n${errorCount} error(s), ${warningCount} warning(s)`);
+process.exitCode = errorCount > 0 ? 1 : 0;
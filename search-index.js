@@ -0,0 +1,478 @@
+/**
+ * Search Index - Fuzzy, bilingual search across all content
+ *
+ * Features:
+ * - Indexes terms, synonyms, definitions and examples from data/
+ * - Indexes the Arabic text in ar-help/explanations.json and the Arabic
+ *   term names in ar-help/content-translations.json (termNames)
+ * - Indexes grammar rules, reading texts and writing templates, each with
+ *   the page URL (and #hash) where the item is shown
+ * - Arabic normalization: alef/hamza forms, taa marbuta, alef maqsura,
+ *   diacritics, tatweel and the definite article
+ * - Typo tolerance (edit distance) and prefix matching
+ * - Ranked results (field weights, exact/prefix term bonus)
+ * - Rebuilt automatically when ContentLibrary reports a content update
+ */
+
+class SearchIndex {
+    constructor() {
+        // Singleton pattern
+        if (SearchIndex.instance) {
+            return SearchIndex.instance;
+        }
+
+        // How much a match in each field counts
+        this.FIELD_WEIGHTS = {
+            term: 3,
+            termAr: 3,
+            synonyms: 2,
+            definition: 1,
+            definitionAr: 1,
+            example: 0.5,
+            exampleAr: 0.5
+        };
+
+        // Match quality per token
+        this.EXACT_SCORE = 1;
+        this.PREFIX_SCORE = 0.8;
+        this.FUZZY_SCORES = { 1: 0.6, 2: 0.4 }; // by edit distance
+
+        // Shortest query token that may be matched with typos
+        this.MIN_FUZZY_LENGTH = 4;
+
+        // Ranking bonuses on the term itself
+        this.EXACT_TERM_BONUS = 5;
+        this.PREFIX_TERM_BONUS = 2;
+
+        // Page showing each source; the document id (or its suffix) is the #hash target
+        this.PAGES = {
+            terms: 'technical-terms.html',
+            synonyms: 'synonyms.html',
+            grammar: 'grammar.html',
+            reading: 'reading.html',
+            writing: 'writing.html'
+        };
+
+        // Built index (promise prevents duplicate builds)
+        this.documents = new Map(); // id -> document
+        this.postings = new Map(); // token -> Map(id -> best field weight)
+        this.buildPromise = null;
+
+        // Rebuild when content files change
+        const contentLib = typeof window !== 'undefined' ? window.ContentLibrary : null;
+        if (contentLib && typeof contentLib.subscribe === 'function') {
+            contentLib.subscribe(event => {
+                if (event && event.type === 'contentupdate') {
+                    this.reset();
+                }
+            });
+        }
+
+        // Set singleton instance
+        SearchIndex.instance = this;
+    }
+
+    /**
+     * Build the index once (later calls share the same promise)
+     * @returns {Promise<SearchIndex>}
+     */
+    async build() {
+        if (this.buildPromise) {
+            return this.buildPromise;
+        }
+
+        this.buildPromise = this.loadDocuments()
+            .then(documents => {
+                this.documents = new Map();
+                this.postings = new Map();
+                documents.forEach(doc => this.addDocument(doc));
+                return this;
+            })
+            .catch(error => {
+                console.error('SearchIndex: Failed to build index:', error);
+                // Not memoized, so a later search can retry
+                this.buildPromise = null;
+                return this;
+            });
+
+        return this.buildPromise;
+    }
+
+    /**
+     * Drop the built index so the next search rebuilds it
+     */
+    reset() {
+        this.buildPromise = null;
+        this.documents = new Map();
+        this.postings = new Map();
+    }
+
+    /**
+     * Collect the searchable documents from ContentLibrary
+     * One document per term/synonym entry, explanation with no data entry,
+     * grammar rule, reading text and writing template
+     * @returns {Promise<Array<Object>>}
+     */
+    async loadDocuments() {
+        const contentLib = window.ContentLibrary;
+        const [result, explanations, translations, grammar, reading, writing] = await Promise.all([
+            contentLib.query({ source: 'all' }),
+            contentLib.loadTranslations('explanations'),
+            contentLib.loadTranslations('content'),
+            contentLib.loadDataFile('grammar-rules.json'),
+            contentLib.loadDataFile('reading-texts.json'),
+            contentLib.loadDataFile('writing-templates.json')
+        ]);
+
+        // Arabic text keyed by every alias of the English term
+        const arabicByTerm = new Map();
+        const addArabic = (term, fields) => {
+            contentLib.getTermAliases(term).forEach(alias => {
+                const key = contentLib.normalizeLookup(alias);
+                arabicByTerm.set(key, { ...(arabicByTerm.get(key) || {}), ...fields });
+            });
+        };
+
+        Object.entries(explanations || {}).forEach(([term, explanation]) => {
+            addArabic(term, {
+                definitionAr: explanation.arabic || '',
+                exampleAr: explanation.exampleAr || ''
+            });
+        });
+        Object.entries((translations && translations.termNames) || {}).forEach(([term, name]) => {
+            addArabic(term, { termAr: name });
+        });
+
+        const findArabic = (term) => {
+            const merged = {};
+            contentLib.getTermAliases(term).forEach(alias => {
+                Object.assign(merged, arabicByTerm.get(contentLib.normalizeLookup(alias)) || {});
+            });
+            return merged;
+        };
+
+        const documents = result.items.map(item => ({
+            id: item.id,
+            source: item.source,
+            term: item.term,
+            url: `${this.PAGES[item.source]}#${item.id}`,
+            entry: item,
+            fields: {
+                term: item.term,
+                synonyms: item.synonyms.join(' '),
+                definition: item.definition,
+                example: item.example,
+                ...findArabic(item.term)
+            }
+        }));
+
+        // Explanations for terms that are not in any data file
+        const covered = new Set();
+        result.items.forEach(item => {
+            contentLib.getTermAliases(item.term).forEach(alias => covered.add(contentLib.normalizeLookup(alias)));
+        });
+        Object.entries(explanations || {}).forEach(([term, explanation]) => {
+            if (covered.has(contentLib.normalizeLookup(term))) {
+                return;
+            }
+            documents.push({
+                id: `explanations:${this.normalizeText(term).replace(/\s+/g, '-')}`,
+                source: 'explanations',
+                term: term,
+                url: null, // no page lists these terms
+                entry: null,
+                fields: {
+                    term: term,
+                    definition: explanation.english || '',
+                    example: explanation.example || '',
+                    ...findArabic(term)
+                }
+            });
+        });
+
+        return documents.concat(this.getPageDocuments(grammar, reading, writing));
+    }
+
+    /**
+     * Documents for grammar rules, reading texts and writing templates
+     * @param {Object|null} grammar - data/grammar-rules.json
+     * @param {Object|null} reading - data/reading-texts.json
+     * @param {Object|null} writing - data/writing-templates.json
+     * @returns {Array<Object>}
+     */
+    getPageDocuments(grammar, reading, writing) {
+        const documents = [];
+
+        ((grammar && grammar.rules) || []).forEach(rule => {
+            documents.push({
+                id: `grammar:${rule.id}`,
+                source: 'grammar',
+                term: rule.title,
+                url: `${this.PAGES.grammar}#rule-${rule.id}`,
+                entry: rule,
+                fields: {
+                    term: rule.title,
+                    termAr: rule.titleAr,
+                    definition: rule.formula || '',
+                    definitionAr: rule.summary,
+                    example: (rule.examples || []).join(' ')
+                }
+            });
+        });
+
+        ((reading && reading.texts) || []).forEach(text => {
+            documents.push({
+                id: `reading:${text.id}`,
+                source: 'reading',
+                term: text.titleEn || text.title,
+                url: `${this.PAGES.reading}#${text.id}`,
+                entry: text,
+                fields: {
+                    term: text.titleEn || '',
+                    termAr: text.title,
+                    exampleAr: (text.content || []).join(' ')
+                }
+            });
+        });
+
+        ((writing && writing.templates) || []).forEach(template => {
+            documents.push({
+                id: `writing:${template.id}`,
+                source: 'writing',
+                term: template.titleEn || template.title,
+                url: `${this.PAGES.writing}#template-${template.id}`,
+                entry: template,
+                fields: {
+                    term: template.titleEn || '',
+                    termAr: template.title,
+                    synonyms: (template.keywords || []).join(' '),
+                    definitionAr: template.description,
+                    example: template.modelAnswer
+                }
+            });
+        });
+
+        return documents;
+    }
+
+    /**
+     * Add a document's tokens to the inverted index
+     * @param {Object} doc - Document from loadDocuments()
+     */
+    addDocument(doc) {
+        this.documents.set(doc.id, { ...doc, normalizedTerm: this.normalizeText(doc.term) });
+
+        Object.entries(doc.fields).forEach(([field, text]) => {
+            const weight = this.FIELD_WEIGHTS[field] || 0;
+            if (!weight || !text) return;
+
+            this.tokenize(text).forEach(token => {
+                if (!this.postings.has(token)) {
+                    this.postings.set(token, new Map());
+                }
+                const docs = this.postings.get(token);
+                docs.set(doc.id, Math.max(docs.get(doc.id) || 0, weight));
+            });
+        });
+    }
+
+    /**
+     * Search all content
+     * Every query word must match (exactly, as a prefix or with a typo)
+     * @param {string} query - English or Arabic text
+     * @param {Object} options - { limit: max results (default 10, 0 = all), sources: e.g. ['terms', 'synonyms'] }
+     * @returns {Promise<Array<Object>>} [{ id, source, term, url, score, entry, termAr, definitionAr }] best first
+     */
+    async search(query, options = {}) {
+        const { limit = 10, sources = null } = options;
+        const queryTokens = this.tokenize(query);
+        if (queryTokens.length === 0) {
+            return [];
+        }
+
+        await this.build();
+
+        let scores = null;
+        queryTokens.forEach(queryToken => {
+            const tokenScores = this.scoreToken(queryToken);
+            if (scores === null) {
+                scores = tokenScores;
+                return;
+            }
+            // AND: keep documents that matched every token so far
+            const combined = new Map();
+            tokenScores.forEach((score, id) => {
+                if (scores.has(id)) {
+                    combined.set(id, scores.get(id) + score);
+                }
+            });
+            scores = combined;
+        });
+
+        const normalizedQuery = queryTokens.join(' ');
+        const results = [];
+        scores.forEach((score, id) => {
+            const doc = this.documents.get(id);
+            if (sources && !sources.includes(doc.source)) return;
+
+            let total = score;
+            if (doc.normalizedTerm === normalizedQuery) {
+                total += this.EXACT_TERM_BONUS;
+            } else if (doc.normalizedTerm.startsWith(normalizedQuery)) {
+                total += this.PREFIX_TERM_BONUS;
+            }
+
+            results.push({
+                id: doc.id,
+                source: doc.source,
+                term: doc.term,
+                url: doc.url,
+                score: Math.round(total * 100) / 100,
+                entry: doc.entry,
+                termAr: doc.fields.termAr || '',
+                definitionAr: doc.fields.definitionAr || ''
+            });
+        });
+
+        results.sort((a, b) => b.score - a.score || a.term.localeCompare(b.term));
+        return limit > 0 ? results.slice(0, limit) : results;
+    }
+
+    /**
+     * Score every document for one query token
+     * @param {string} queryToken - Normalized token
+     * @returns {Map<string, number>} id -> best score for this token
+     */
+    scoreToken(queryToken) {
+        const scores = new Map();
+        const maxEdits = this.getMaxEdits(queryToken);
+
+        this.postings.forEach((docs, token) => {
+            let quality = 0;
+            if (token === queryToken) {
+                quality = this.EXACT_SCORE;
+            } else if (token.startsWith(queryToken)) {
+                quality = this.PREFIX_SCORE;
+            } else if (maxEdits > 0 && Math.abs(token.length - queryToken.length) <= maxEdits) {
+                const distance = this.editDistance(queryToken, token, maxEdits);
+                quality = distance <= maxEdits ? this.FUZZY_SCORES[distance] : 0;
+            }
+            if (!quality) return;
+
+            docs.forEach((weight, id) => {
+                scores.set(id, Math.max(scores.get(id) || 0, quality * weight));
+            });
+        });
+
+        return scores;
+    }
+
+    /**
+     * Typos allowed for a query token: none for short words, 2 for long ones
+     * @param {string} token - Normalized token
+     * @returns {number}
+     */
+    getMaxEdits(token) {
+        if (token.length < this.MIN_FUZZY_LENGTH) {
+            return 0;
+        }
+        return token.length >= 8 ? 2 : 1;
+    }
+
+    /**
+     * Damerau-Levenshtein distance (adjacent swaps count as one edit)
+     * Stops early once the distance is known to exceed maxEdits
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @param {number} maxEdits - Largest distance of interest
+     * @returns {number} Distance, or maxEdits + 1 when it is larger
+     */
+    editDistance(a, b, maxEdits) {
+        const rows = [];
+        for (let i = 0; i <= a.length; i++) {
+            rows[i] = [i];
+        }
+        for (let j = 1; j <= b.length; j++) {
+            rows[0][j] = j;
+        }
+
+        for (let i = 1; i <= a.length; i++) {
+            let rowMin = Infinity;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(
+                    rows[i - 1][j] + 1,
+                    rows[i][j - 1] + 1,
+                    rows[i - 1][j - 1] + cost
+                );
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, rows[i - 2][j - 2] + 1);
+                }
+                rows[i][j] = value;
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > maxEdits) {
+                return maxEdits + 1;
+            }
+        }
+
+        return Math.min(rows[a.length][b.length], maxEdits + 1);
+    }
+
+    /**
+     * Split text into normalized search tokens
+     * @param {string} text - English or Arabic text
+     * @returns {Array<string>}
+     */
+    tokenize(text) {
+        return this.normalizeText(text)
+            .split(' ')
+            .map(token => this.stripArabicArticle(token))
+            .filter(Boolean);
+    }
+
+    /**
+     * Normalize text for matching
+     * - Lowercase, Latin accents removed
+     * - Arabic: diacritics and tatweel removed, أ/إ/آ/ٱ -> ا, ؤ -> و, ئ/ى -> ي, ة -> ه
+     * - Punctuation becomes a space
+     * @param {string} text - Raw text
+     * @returns {string}
+     */
+    normalizeText(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/[\u0622\u0623\u0625\u0671]/g, '\u0627') // alef forms -> bare alef
+            .replace(/\u0624/g, '\u0648') // waw with hamza -> waw
+            .replace(/[\u0626\u0649]/g, '\u064A') // yeh with hamza, alef maqsura -> yeh
+            .replace(/\u0629/g, '\u0647') // taa marbuta -> heh
+            .replace(/[\u064B-\u065F\u0670\u0640]/g, '') // Arabic diacritics, superscript alef, tatweel
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '') // Latin accents
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    /**
+     * Remove the Arabic definite article so "الجدار" matches "جدار"
+     * @param {string} token - Normalized token
+     * @returns {string}
+     */
+    stripArabicArticle(token) {
+        const match = token.match(/^(?:\u0648\u0627\u0644|\u0628\u0627\u0644|\u0643\u0627\u0644|\u0641\u0627\u0644|\u0644\u0644|\u0627\u0644)(.{2,})$/);
+        return match ? match[1] : token;
+    }
+}
+
+// Create and export singleton instance
+const searchIndex = new SearchIndex();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = searchIndex;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.SearchIndex = searchIndex;
+}
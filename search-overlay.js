@@ -0,0 +1,384 @@
+/**
+ * Search Overlay - Site-wide command palette
+ *
+ * Features:
+ * - Opens with Ctrl+K / Cmd+K or "/" (and the search button in the header)
+ * - Searches terms, synonyms, grammar rules, reading texts and writing templates
+ *   through SearchIndex (loaded on first use)
+ * - Keyboard navigation: arrows to move, Enter to open, Escape to close
+ * - Opens the item's page with a #hash so the item is scrolled to and highlighted
+ * - Labels follow the LanguageSystem mode (English, English + Arabic, Arabic first)
+ */
+
+class SearchOverlay {
+    constructor() {
+        // Singleton pattern
+        if (SearchOverlay.instance) {
+            return SearchOverlay.instance;
+        }
+
+        this.INDEX_SCRIPT = 'search-index.js';
+        this.SOURCES = ['terms', 'synonyms', 'grammar', 'reading', 'writing'];
+        this.MAX_RESULTS = 12;
+
+        // Result type labels per language
+        this.SOURCE_LABELS = {
+            terms: { en: 'Term', ar: 'مصطلح' },
+            synonyms: { en: 'Synonym', ar: 'مرادف' },
+            grammar: { en: 'Grammar', ar: 'قواعد' },
+            reading: { en: 'Reading', ar: 'قراءة' },
+            writing: { en: 'Writing template', ar: 'قالب كتابة' }
+        };
+
+        this.TEXTS = {
+            placeholder: { en: 'Search terms, grammar, reading, writing...', ar: 'ابحث في المصطلحات والقواعد والقراءة والكتابة...' },
+            empty: { en: 'No results', ar: 'لا توجد نتائج' },
+            hint: { en: '↑↓ to move · Enter to open · Esc to close', ar: '↑↓ للتنقل · Enter للفتح · Esc للإغلاق' }
+        };
+
+        // State
+        this.element = null;
+        this.input = null;
+        this.list = null;
+        this.results = [];
+        this.activeIndex = 0;
+        this.searchRequest = 0;
+        this.indexPromise = null;
+        this.initialized = false;
+
+        // Set singleton instance
+        SearchOverlay.instance = this;
+    }
+
+    /**
+     * Bind the keyboard shortcuts and re-label results on mode changes
+     */
+    init() {
+        if (this.initialized || typeof document === 'undefined') {
+            return;
+        }
+        this.initialized = true;
+
+        document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                this.isOpen() ? this.close() : this.open();
+            } else if (e.key === '/' && !this.isOpen() && !this.isTyping(e.target)) {
+                e.preventDefault();
+                this.open();
+            }
+        });
+
+        if (window.LanguageSystem && typeof window.LanguageSystem.subscribe === 'function') {
+            window.LanguageSystem.subscribe(() => {
+                if (this.element) {
+                    this.applyLanguage();
+                    this.renderResults();
+                }
+            });
+        }
+    }
+
+    /**
+     * Is the user typing in a form field? ("/" should type a slash there)
+     * @param {Element} target - Event target
+     * @returns {boolean}
+     */
+    isTyping(target) {
+        if (!target) return false;
+        const tag = target.tagName;
+        return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || target.isContentEditable;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isOpen() {
+        return Boolean(this.element && this.element.classList.contains('open'));
+    }
+
+    /**
+     * Show the overlay and focus the search box
+     */
+    open() {
+        if (!this.element) {
+            this.render();
+        }
+        this.applyLanguage();
+        this.element.classList.add('open');
+        this.input.focus();
+        this.input.select();
+
+        // Start building the index while the user types
+        this.loadIndex();
+    }
+
+    /**
+     * Hide the overlay
+     */
+    close() {
+        if (this.element) {
+            this.element.classList.remove('open');
+        }
+    }
+
+    /**
+     * Load SearchIndex on first use (pages that do not include search-index.js)
+     * @returns {Promise<Object|null>}
+     */
+    loadIndex() {
+        if (window.SearchIndex) {
+            return Promise.resolve(window.SearchIndex);
+        }
+        if (!this.indexPromise) {
+            this.indexPromise = new Promise(resolve => {
+                const script = document.createElement('script');
+                script.src = this.INDEX_SCRIPT;
+                script.onload = () => resolve(window.SearchIndex || null);
+                script.onerror = () => {
+                    console.warn('SearchOverlay: Could not load search index');
+                    this.indexPromise = null;
+                    resolve(null);
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return this.indexPromise;
+    }
+
+    /**
+     * Create the overlay markup
+     */
+    render() {
+        this.element = document.createElement('div');
+        this.element.className = 'search-overlay';
+        this.element.innerHTML = `
+            <div class="search-dialog" role="dialog" aria-modal="true" aria-label="Search">
+                <div class="search-overlay-box">
+                    <i class="fas fa-search"></i>
+                    <input type="text" class="search-overlay-input" autocomplete="off" spellcheck="false"
+                        role="combobox" aria-expanded="true" aria-controls="searchOverlayResults">
+                    <kbd>Esc</kbd>
+                </div>
+                <ul class="search-overlay-results" id="searchOverlayResults" role="listbox"></ul>
+                <div class="search-overlay-hint"></div>
+            </div>
+        `;
+
+        this.input = this.element.querySelector('.search-overlay-input');
+        this.list = this.element.querySelector('.search-overlay-results');
+
+        this.input.addEventListener('input', () => this.runSearch(this.input.value));
+        this.input.addEventListener('keydown', (e) => this.handleKey(e));
+
+        // Click outside the dialog closes it
+        this.element.addEventListener('click', (e) => {
+            if (e.target === this.element) {
+                this.close();
+            }
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-index]');
+            if (item) {
+                this.openResult(this.results[Number(item.dataset.index)]);
+            }
+        });
+        this.list.addEventListener('mousemove', (e) => {
+            const item = e.target.closest('[data-index]');
+            if (item && Number(item.dataset.index) !== this.activeIndex) {
+                this.setActive(Number(item.dataset.index));
+            }
+        });
+
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Keyboard navigation inside the search box
+     * @param {KeyboardEvent} e - Event
+     */
+    handleKey(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (this.results.length) {
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.setActive((this.activeIndex + step + this.results.length) % this.results.length);
+            }
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (this.results[this.activeIndex]) {
+                this.openResult(this.results[this.activeIndex]);
+            }
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        }
+    }
+
+    /**
+     * Search and show the results (stale responses are ignored)
+     * @param {string} text - Query
+     */
+    async runSearch(text) {
+        const requestId = ++this.searchRequest;
+
+        if (!text.trim()) {
+            this.results = [];
+            this.renderResults();
+            return;
+        }
+
+        const index = await this.loadIndex();
+        const results = index
+            ? await index.search(text, { limit: this.MAX_RESULTS, sources: this.SOURCES })
+            : [];
+
+        if (requestId !== this.searchRequest) return;
+        this.results = results;
+        this.activeIndex = 0;
+        this.renderResults();
+    }
+
+    /**
+     * Draw the result list using the current language mode
+     */
+    renderResults() {
+        if (!this.list) return;
+
+        if (!this.results.length) {
+            this.list.innerHTML = this.input.value.trim()
+                ? `<li class="search-overlay-empty">${this.getText('empty')}</li>`
+                : '';
+            return;
+        }
+
+        this.list.innerHTML = this.results.map((result, index) => {
+            const { primary, secondary } = this.getLabels(result);
+            return `
+                <li class="search-overlay-item${index === this.activeIndex ? ' active' : ''}" role="option"
+                    data-index="${index}" aria-selected="${index === this.activeIndex}">
+                    <span class="search-overlay-type ${result.source}">${this.getSourceLabel(result.source)}</span>
+                    <span class="search-overlay-title">${this.escapeHTML(primary)}</span>
+                    ${secondary ? `<span class="search-overlay-subtitle">${this.escapeHTML(secondary)}</span>` : ''}
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Move the keyboard selection
+     * @param {number} index - Result index
+     */
+    setActive(index) {
+        this.activeIndex = index;
+        this.list.querySelectorAll('[data-index]').forEach(item => {
+            const isActive = Number(item.dataset.index) === index;
+            item.classList.toggle('active', isActive);
+            item.setAttribute('aria-selected', isActive);
+            if (isActive) {
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    /**
+     * Go to a result's page; on the same page only the hash changes
+     * @param {Object} result - SearchIndex result
+     */
+    openResult(result) {
+        if (!result || !result.url) return;
+
+        this.close();
+        const target = new URL(result.url, window.location.href);
+        if (target.pathname === window.location.pathname) {
+            // Re-setting the same hash does not fire hashchange, so clear it first
+            if (target.hash === window.location.hash) {
+                history.replaceState(null, '', window.location.pathname + window.location.search);
+            }
+            window.location.hash = target.hash;
+        } else {
+            window.location.href = target.href;
+        }
+    }
+
+    /**
+     * Title and subtitle for a result in the current mode
+     * Exam: English only; study: English with Arabic; beginner: Arabic with English
+     * @param {Object} result - SearchIndex result
+     * @returns {Object} { primary, secondary }
+     */
+    getLabels(result) {
+        const english = result.term;
+        const arabic = result.termAr || '';
+        const mode = this.getMode();
+
+        if (mode === 'beginner' && arabic) {
+            return { primary: arabic, secondary: english };
+        }
+        if (mode === 'study') {
+            return { primary: english, secondary: arabic };
+        }
+        return { primary: english, secondary: '' };
+    }
+
+    /**
+     * @param {string} source - Result source
+     * @returns {string}
+     */
+    getSourceLabel(source) {
+        const labels = this.SOURCE_LABELS[source] || { en: source, ar: source };
+        return this.getMode() === 'beginner' ? labels.ar : labels.en;
+    }
+
+    /**
+     * @param {string} key - Key in TEXTS
+     * @returns {string}
+     */
+    getText(key) {
+        return this.getMode() === 'beginner' ? this.TEXTS[key].ar : this.TEXTS[key].en;
+    }
+
+    /**
+     * Current LanguageSystem mode ('exam' when the system is not loaded)
+     * @returns {string}
+     */
+    getMode() {
+        return window.LanguageSystem ? window.LanguageSystem.getMode() : 'exam';
+    }
+
+    /**
+     * Apply the mode's direction and texts to the overlay
+     */
+    applyLanguage() {
+        const isArabic = this.getMode() === 'beginner';
+        const dialog = this.element.querySelector('.search-dialog');
+        dialog.setAttribute('dir', isArabic ? 'rtl' : 'ltr');
+        this.input.placeholder = this.getText('placeholder');
+        this.element.querySelector('.search-overlay-hint').textContent = this.getText('hint');
+    }
+
+    /**
+     * Escape text for innerHTML
+     * @param {string} text - Raw text
+     * @returns {string}
+     */
+    escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Create and export singleton instance
+const searchOverlay = new SearchOverlay();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = searchOverlay;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.SearchOverlay = searchOverlay;
+}
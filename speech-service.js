@@ -0,0 +1,331 @@
+/**
+ * Speech Service - Text-to-speech pronunciation (browser speechSynthesis)
+ *
+ * Features:
+ * - Play buttons: any element with data-speak="text" speaks its text on click
+ * - English voice preferred for terms; Arabic text is read with an Arabic voice
+ * - Sentence-by-sentence reading with a callback per sentence (for highlighting)
+ * - Adjustable, persisted speaking rate
+ * - Graceful degradation: without speechSynthesis or a voice for the language,
+ *   <html> gets a class (no-speech / no-english-voice / no-arabic-voice) and
+ *   the matching controls are hidden by CSS
+ */
+
+class SpeechService {
+    constructor() {
+        // Singleton pattern
+        if (SpeechService.instance) {
+            return SpeechService.instance;
+        }
+
+        this.RATE_KEY = 'it_english_speech_rate';
+        this.DEFAULT_RATE = 1;
+        this.MIN_RATE = 0.5;
+        this.MAX_RATE = 1.5;
+
+        // Preferred voice language per text language (first match wins)
+        this.VOICE_LANGS = {
+            en: ['en-US', 'en-GB', 'en'],
+            ar: ['ar-SA', 'ar-EG', 'ar']
+        };
+
+        // Some browsers fill the voice list asynchronously (voiceschanged)
+        this.VOICES_TIMEOUT = 1500;
+
+        this.voicesPromise = null;
+        this.activeButton = null;
+        this.sequenceId = 0;
+        this.initialized = false;
+
+        // Set singleton instance
+        SpeechService.instance = this;
+    }
+
+    /**
+     * Bind play buttons and mark the page when speech is unavailable
+     */
+    async init() {
+        if (this.initialized || typeof document === 'undefined') {
+            return;
+        }
+        this.initialized = true;
+
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-speak]');
+            if (!button) return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.toggleButton(button);
+        });
+
+        // Do not keep talking after leaving the page
+        window.addEventListener('pagehide', () => this.stop());
+
+        await this.updateAvailability();
+    }
+
+    /**
+     * Is speechSynthesis available at all?
+     * @returns {boolean}
+     */
+    isSupported() {
+        return typeof window !== 'undefined' &&
+            'speechSynthesis' in window &&
+            typeof window.SpeechSynthesisUtterance === 'function';
+    }
+
+    /**
+     * Set the no-speech / no-<lang>-voice classes on <html>
+     */
+    async updateAvailability() {
+        const root = document.documentElement;
+        root.classList.toggle('no-speech', !this.isSupported());
+
+        const [english, arabic] = await Promise.all([this.getVoice('en'), this.getVoice('ar')]);
+        root.classList.toggle('no-english-voice', !english);
+        root.classList.toggle('no-arabic-voice', !arabic);
+    }
+
+    /**
+     * Get the installed voices, waiting briefly for browsers that load them late
+     * @returns {Promise<Array<SpeechSynthesisVoice>>}
+     */
+    loadVoices() {
+        if (!this.isSupported()) {
+            return Promise.resolve([]);
+        }
+        if (this.voicesPromise) {
+            return this.voicesPromise;
+        }
+
+        this.voicesPromise = new Promise(resolve => {
+            const voices = window.speechSynthesis.getVoices();
+            if (voices.length) {
+                resolve(voices);
+                return;
+            }
+
+            const finish = () => {
+                clearTimeout(timer);
+                window.speechSynthesis.removeEventListener('voiceschanged', finish);
+                resolve(window.speechSynthesis.getVoices());
+            };
+            const timer = setTimeout(finish, this.VOICES_TIMEOUT);
+            window.speechSynthesis.addEventListener('voiceschanged', finish);
+        }).then(voices => {
+            // Retry later if nothing was found (the list may still arrive)
+            if (!voices.length) {
+                this.voicesPromise = null;
+            }
+            return voices;
+        });
+
+        return this.voicesPromise;
+    }
+
+    /**
+     * Best installed voice for a language
+     * @param {string} lang - 'en' or 'ar'
+     * @returns {Promise<SpeechSynthesisVoice|null>}
+     */
+    async getVoice(lang) {
+        const voices = await this.loadVoices();
+        const preferences = this.VOICE_LANGS[lang] || [lang];
+
+        for (const preferred of preferences) {
+            const prefix = preferred.toLowerCase();
+            const matches = voices.filter(voice => voice.lang && voice.lang.replace('_', '-').toLowerCase().startsWith(prefix));
+            if (matches.length) {
+                // Local voices work offline and start faster
+                return matches.find(voice => voice.localService) || matches[0];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Guess the language of a text from its script
+     * @param {string} text - Text
+     * @returns {string} 'ar' or 'en'
+     */
+    detectLanguage(text) {
+        const arabic = (String(text).match(/[\u0600-\u06FF]/g) || []).length;
+        const latin = (String(text).match(/[A-Za-z]/g) || []).length;
+        return arabic > latin ? 'ar' : 'en';
+    }
+
+    /**
+     * Speak a text (cancels anything already playing)
+     * @param {string} text - Text to speak
+     * @param {Object} options - { lang: 'en' | 'ar' (default: detected), rate }
+     * @returns {Promise<boolean>} true when spoken to the end, false if unavailable or stopped
+     */
+    async speak(text, options = {}) {
+        return this.speakSequence([text], options);
+    }
+
+    /**
+     * Speak parts one after another (e.g. the sentences of a passage)
+     * @param {Array<string>} parts - Texts
+     * @param {Object} options - { lang, rate, startAt: first part index, onPart(index), onEnd(completed) }
+     * onEnd always runs once, with completed = false when stopped or unavailable
+     * @returns {Promise<boolean>} true when every part was spoken, false if unavailable or stopped
+     */
+    async speakSequence(parts, options = {}) {
+        const { rate = this.getRate(), startAt = 0, onPart = null, onEnd = null } = options;
+        const lang = options.lang || this.detectLanguage(parts.join(' '));
+
+        this.stop();
+        const sequenceId = this.sequenceId;
+
+        const voice = await this.getVoice(lang);
+        if (!voice || sequenceId !== this.sequenceId) {
+            if (onEnd) onEnd(false);
+            return false;
+        }
+
+        let completed = true;
+        for (let index = startAt; index < parts.length; index++) {
+            if (sequenceId !== this.sequenceId) {
+                completed = false;
+                break;
+            }
+            if (onPart) onPart(index);
+
+            const spoken = await this.speakUtterance(parts[index], voice, rate);
+            if (!spoken) {
+                completed = false;
+                break;
+            }
+        }
+
+        // Also called when stopped or replaced by another sequence (completed = false)
+        if (onEnd) onEnd(completed);
+        return completed;
+    }
+
+    /**
+     * Speak one utterance
+     * @param {string} text - Text
+     * @param {SpeechSynthesisVoice} voice - Voice
+     * @param {number} rate - Speaking rate
+     * @returns {Promise<boolean>} false if cancelled or failed
+     */
+    speakUtterance(text, voice, rate) {
+        return new Promise(resolve => {
+            const utterance = new window.SpeechSynthesisUtterance(text);
+            utterance.voice = voice;
+            utterance.lang = voice.lang;
+            utterance.rate = this.clampRate(rate);
+            utterance.onend = () => resolve(true);
+            utterance.onerror = (event) => {
+                if (event.error !== 'canceled' && event.error !== 'interrupted') {
+                    console.warn('SpeechService: Speech failed:', event.error);
+                }
+                resolve(false);
+            };
+            window.speechSynthesis.speak(utterance);
+        });
+    }
+
+    /**
+     * Stop speaking (also ends any running sequence)
+     */
+    stop() {
+        this.sequenceId++;
+        if (this.activeButton) {
+            this.activeButton.classList.remove('speaking');
+            this.activeButton = null;
+        }
+        if (this.isSupported()) {
+            window.speechSynthesis.cancel();
+        }
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isSpeaking() {
+        return this.isSupported() && window.speechSynthesis.speaking;
+    }
+
+    /**
+     * Play (or stop) the text of a data-speak button
+     * @param {Element} button - Button with data-speak and optional data-lang
+     */
+    async toggleButton(button) {
+        if (this.activeButton === button) {
+            this.stop();
+            return;
+        }
+
+        const text = button.dataset.speak;
+        const speaking = this.speak(text, { lang: button.dataset.lang || 'en' });
+
+        // speak() stops the previous button first, so mark this one afterwards
+        this.activeButton = button;
+        button.classList.add('speaking');
+
+        await speaking;
+        if (this.activeButton === button) {
+            button.classList.remove('speaking');
+            this.activeButton = null;
+        }
+    }
+
+    /**
+     * Split a passage into sentences (English and Arabic punctuation)
+     * @param {string} text - Passage
+     * @returns {Array<string>}
+     */
+    splitSentences(text) {
+        return (String(text).match(/[^.!?؟]+(?:[.!?؟]+|$)/g) || [])
+            .map(sentence => sentence.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Saved speaking rate
+     * @returns {number}
+     */
+    getRate() {
+        const saved = parseFloat(localStorage.getItem(this.RATE_KEY));
+        return Number.isFinite(saved) ? this.clampRate(saved) : this.DEFAULT_RATE;
+    }
+
+    /**
+     * Save the speaking rate
+     * @param {number} rate - 0.5 to 1.5
+     * @returns {number} The saved (clamped) rate
+     */
+    setRate(rate) {
+        const clamped = this.clampRate(rate);
+        localStorage.setItem(this.RATE_KEY, String(clamped));
+        return clamped;
+    }
+
+    /**
+     * @param {number} rate - Any rate
+     * @returns {number} Rate within MIN_RATE..MAX_RATE
+     */
+    clampRate(rate) {
+        const value = Number(rate);
+        if (!Number.isFinite(value)) {
+            return this.DEFAULT_RATE;
+        }
+        return Math.min(this.MAX_RATE, Math.max(this.MIN_RATE, value));
+    }
+}
+
+// Create and export singleton instance
+const speechService = new SpeechService();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = speechService;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.SpeechService = speechService;
+}
@@ -0,0 +1,448 @@
+/**
+ * SRS Scheduler - Spaced repetition for flashcards (SM-2 style)
+ *
+ * Features:
+ * - Persisted per-card ease, interval, repetitions and due date
+ * - Again / Hard / Good / Easy grading
+ * - "Due today" queue with a daily limit for new cards
+ * - Cards drawn from data/technical-terms.json and data/synonyms.json; a word in
+ *   both files is one card (the technical term, with the synonym data merged in)
+ */
+
+class SrsScheduler {
+    constructor() {
+        // Singleton pattern
+        if (SrsScheduler.instance) {
+            return SrsScheduler.instance;
+        }
+
+        this.STORAGE_KEY = 'it_english_srs';
+
+        // Card sources (relative to ContentLibrary.DATA_PATH)
+        this.SOURCES = {
+            term: { file: 'technical-terms.json', listKey: 'terms' },
+            synonym: { file: 'synonyms.json', listKey: 'synonyms' }
+        };
+
+        // SM-2 parameters
+        this.GRADES = ['again', 'hard', 'good', 'easy'];
+        this.DEFAULT_EASE = 2.5;
+        this.MIN_EASE = 1.3;
+        this.MAX_INTERVAL = 365; // days
+        this.RELEARN_DELAY = 60 * 1000; // "Again" cards come back in the same session
+        this.NEW_CARDS_PER_DAY = 10;
+
+        this.DAY_MS = 24 * 60 * 60 * 1000;
+
+        // Loaded cards (promise prevents duplicate requests)
+        this.loadingPromise = null;
+
+        // Set singleton instance
+        SrsScheduler.instance = this;
+    }
+
+    /**
+     * Load flashcards from the data files
+     * @param {Array<Object>} fallbackTerms - Inline terms used when the data files cannot be loaded
+     * @returns {Promise<Array<Object>>} Normalized cards
+     */
+    async loadCards(fallbackTerms = []) {
+        if (this.loadingPromise) {
+            return this.loadingPromise;
+        }
+
+        const contentLib = typeof window !== 'undefined' ? window.ContentLibrary : null;
+        const sources = Object.entries(this.SOURCES);
+
+        this.loadingPromise = Promise.all(sources.map(([source, { file, listKey }]) => {
+            if (!contentLib) {
+                return [];
+            }
+            return contentLib.loadDataFile(file)
+                .then(data => ((data && data[listKey]) || []).map(item => this.normalizeCard(item, source)))
+                .catch(error => {
+                    console.warn(`SrsScheduler: Could not load ${file}:`, error);
+                    return [];
+                });
+        })).then(lists => {
+            let cards = [].concat(...lists);
+            if (!lists[0].length) {
+                cards = fallbackTerms.map(item => this.normalizeCard(item, 'term')).concat(cards);
+            }
+            cards = this.dedupe(cards);
+            this.adoptMergedRecords(cards);
+            return cards;
+        });
+
+        return this.loadingPromise;
+    }
+
+    /**
+     * Convert a technical term or synonym entry into a flashcard
+     * @param {Object} item - Raw data entry
+     * @param {string} source - 'term' or 'synonym'
+     * @returns {Object}
+     */
+    normalizeCard(item, source) {
+        return {
+            id: `${source}:${this.slugify(item.term)}`,
+            source: source,
+            term: item.term,
+            definition: item.definition || '',
+            example: item.example || '',
+            synonyms: Array.isArray(item.synonyms) ? item.synonyms : [],
+            category: item.category || source,
+            unit: String(item.unit || '').toLowerCase().replace(/\s+/g, '')
+        };
+    }
+
+    /**
+     * Merge cards for the same word (first one wins, later ones fill in its gaps)
+     * "Operating System (OS)" and "OS" count as the same word
+     * @param {Array<Object>} cards - Cards, technical terms first
+     * @returns {Array<Object>} Cards; merged ones list the dropped ids in `mergedIds`
+     */
+    dedupe(cards) {
+        const byKey = new Map();
+        const kept = [];
+
+        cards.forEach(card => {
+            if (!card.term) {
+                return;
+            }
+
+            const keys = this.getTermKeys(card.term);
+            const existing = keys.map(key => byKey.get(key)).find(Boolean);
+            if (!existing) {
+                kept.push(card);
+                keys.forEach(key => byKey.set(key, card));
+                return;
+            }
+
+            if (existing.id !== card.id) {
+                existing.mergedIds = (existing.mergedIds || []).concat(card.id);
+            }
+            existing.definition = existing.definition || card.definition;
+            existing.example = existing.example || card.example;
+            existing.synonyms = existing.synonyms.concat(
+                card.synonyms.filter(synonym => !existing.synonyms.some(item => item.toLowerCase() === synonym.toLowerCase())));
+            keys.forEach(key => {
+                if (!byKey.has(key)) {
+                    byKey.set(key, existing);
+                }
+            });
+        });
+
+        return kept;
+    }
+
+    /**
+     * Lookup keys for a term: the name and, if present, its bracketed abbreviation
+     * @param {string} term - Term, e.g. 'Artificial Intelligence (AI)'
+     * @returns {Array<string>}
+     */
+    getTermKeys(term) {
+        const match = String(term).match(/^(.*?)\s*\(([^)]+)\)\s*$/);
+        const names = match ? [match[1], match[2]] : [term];
+        return names.map(name => this.slugify(name)).filter(Boolean);
+    }
+
+    /**
+     * Move schedules saved under merged card ids (before duplicates were merged)
+     * onto the card that replaced them, unless that card already has one
+     * @param {Array<Object>} cards - Cards from dedupe()
+     */
+    adoptMergedRecords(cards) {
+        const state = this.getState();
+        let changed = false;
+
+        cards.forEach(card => {
+            (card.mergedIds || []).forEach(mergedId => {
+                const record = state.cards[mergedId];
+                if (!record) {
+                    return;
+                }
+                if (!state.cards[card.id]) {
+                    state.cards[card.id] = record;
+                }
+                delete state.cards[mergedId];
+                changed = true;
+            });
+        });
+
+        if (changed) {
+            this.saveState(state);
+        }
+    }
+
+    /**
+     * Get the stored scheduling state for all cards
+     * @returns {Object} { cards: { [id]: record }, newCardsIntroduced: { [dateKey]: number } }
+     */
+    getState() {
+        try {
+            const data = localStorage.getItem(this.STORAGE_KEY);
+            const state = data ? JSON.parse(data) : null;
+            if (state && state.cards) {
+                return { newCardsIntroduced: {}, ...state };
+            }
+        } catch (error) {
+            console.error('SrsScheduler: Failed to load state:', error);
+        }
+        return { cards: {}, newCardsIntroduced: {} };
+    }
+
+    /**
+     * Save the scheduling state
+     * @param {Object} state - State from getState()
+     * @returns {boolean}
+     */
+    saveState(state) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(state));
+            return true;
+        } catch (error) {
+            console.error('SrsScheduler: Failed to save state:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the scheduling record for a card (null if never reviewed)
+     * @param {string} cardId - Card id
+     * @returns {Object|null}
+     */
+    getRecord(cardId) {
+        return this.getState().cards[cardId] || null;
+    }
+
+    /**
+     * Build today's review queue
+     * Due cards first (most overdue first), then new cards up to the daily limit
+     * @param {Array<Object>} cards - Cards from loadCards()
+     * @param {number} now - Current timestamp
+     * @returns {Array<Object>}
+     */
+    getDueQueue(cards, now = Date.now()) {
+        const state = this.getState();
+        const endOfToday = this.startOfDay(now) + this.DAY_MS;
+
+        const due = cards
+            .filter(card => state.cards[card.id] && state.cards[card.id].due < endOfToday)
+            .sort((a, b) => state.cards[a.id].due - state.cards[b.id].due);
+
+        const introducedToday = state.newCardsIntroduced[this.getDateKey(now)] || 0;
+        const newLimit = Math.max(0, this.NEW_CARDS_PER_DAY - introducedToday);
+        const fresh = cards.filter(card => !state.cards[card.id]).slice(0, newLimit);
+
+        return [...due, ...fresh];
+    }
+
+    /**
+     * Grade a card and schedule its next review
+     * @param {string} cardId - Card id
+     * @param {string} grade - 'again' | 'hard' | 'good' | 'easy'
+     * @param {number} now - Current timestamp
+     * @returns {Object|null} Updated record
+     */
+    grade(cardId, grade, now = Date.now()) {
+        if (!this.GRADES.includes(grade)) {
+            console.error('SrsScheduler: Unknown grade:', grade);
+            return null;
+        }
+
+        const state = this.getState();
+        const previous = state.cards[cardId];
+
+        if (!previous) {
+            const dateKey = this.getDateKey(now);
+            state.newCardsIntroduced = {
+                [dateKey]: (state.newCardsIntroduced[dateKey] || 0) + 1
+            };
+        }
+
+        const record = {
+            ...this.schedule(previous, grade, now),
+            lastReviewed: now,
+            reviews: ((previous && previous.reviews) || 0) + 1
+        };
+
+        state.cards[cardId] = record;
+        this.saveState(state);
+        return record;
+    }
+
+    /**
+     * Compute the next scheduling record (does not save)
+     * @param {Object|null} record - Current record
+     * @param {string} grade - Grade name
+     * @param {number} now - Current timestamp
+     * @returns {Object} { ease, interval, repetitions, lapses, due }
+     */
+    schedule(record, grade, now = Date.now()) {
+        const current = record || { ease: this.DEFAULT_EASE, interval: 0, repetitions: 0, lapses: 0 };
+        let ease = current.ease;
+        let interval;
+        let repetitions = current.repetitions;
+        let lapses = current.lapses || 0;
+
+        switch (grade) {
+            case 'again':
+                ease -= 0.2;
+                repetitions = 0;
+                interval = 0;
+                if (record) {
+                    lapses++;
+                }
+                break;
+            case 'hard':
+                // A pass, as in SM-2: the card leaves the new/learning steps but grows slowly
+                ease -= 0.15;
+                repetitions++;
+                interval = repetitions === 1
+                    ? 1
+                    : Math.max(current.interval + 1, Math.round(current.interval * 1.2));
+                break;
+            case 'good':
+                repetitions++;
+                interval = this.getGoodInterval(current.interval, repetitions, ease);
+                break;
+            case 'easy':
+                ease += 0.15;
+                repetitions++;
+                // Always at least one day beyond what "Good" would give
+                interval = repetitions === 1
+                    ? 4
+                    : Math.max(this.getGoodInterval(current.interval, repetitions, current.ease) + 1,
+                        Math.round(current.interval * ease * 1.3));
+                break;
+        }
+
+        ease = Math.max(this.MIN_EASE, Math.round(ease * 100) / 100);
+        interval = Math.min(this.MAX_INTERVAL, interval);
+
+        // Failed cards come back in this session; others are due at the start of their day
+        const due = interval === 0
+            ? now + this.RELEARN_DELAY
+            : this.startOfDay(now) + interval * this.DAY_MS;
+
+        return { ease, interval, repetitions, lapses, due };
+    }
+
+    /**
+     * SM-2 interval for a successful review: 1 day, 3 days, then interval x ease
+     * @param {number} interval - Current interval in days
+     * @param {number} repetitions - Successful reviews in a row (including this one)
+     * @param {number} ease - Ease factor
+     * @returns {number}
+     */
+    getGoodInterval(interval, repetitions, ease) {
+        if (repetitions === 1) {
+            return 1;
+        }
+        if (repetitions === 2) {
+            return 3;
+        }
+        return Math.round(interval * ease);
+    }
+
+    /**
+     * Preview the interval (in days) each grade would give a card
+     * @param {string} cardId - Card id
+     * @param {number} now - Current timestamp
+     * @returns {Object} { again, hard, good, easy }
+     */
+    previewIntervals(cardId, now = Date.now()) {
+        const record = this.getRecord(cardId);
+        const preview = {};
+        this.GRADES.forEach(grade => {
+            preview[grade] = this.schedule(record, grade, now).interval;
+        });
+        return preview;
+    }
+
+    /**
+     * Summary counts for a card set
+     * @param {Array<Object>} cards - Cards from loadCards()
+     * @param {number} now - Current timestamp
+     * @returns {Object} { total, new, learning, mature, dueToday }
+     */
+    getStats(cards, now = Date.now()) {
+        const state = this.getState();
+        const endOfToday = this.startOfDay(now) + this.DAY_MS;
+        const stats = { total: cards.length, new: 0, learning: 0, mature: 0, dueToday: 0 };
+
+        cards.forEach(card => {
+            const record = state.cards[card.id];
+            if (!record) {
+                stats.new++;
+                return;
+            }
+            if (record.interval >= 21) {
+                stats.mature++;
+            } else {
+                stats.learning++;
+            }
+            if (record.due < endOfToday) {
+                stats.dueToday++;
+            }
+        });
+
+        return stats;
+    }
+
+    /**
+     * Clear all scheduling data
+     */
+    reset() {
+        localStorage.removeItem(this.STORAGE_KEY);
+    }
+
+    /**
+     * Local midnight for a timestamp
+     * @param {number} time - Timestamp
+     * @returns {number}
+     */
+    startOfDay(time) {
+        const date = new Date(time);
+        date.setHours(0, 0, 0, 0);
+        return date.getTime();
+    }
+
+    /**
+     * Local YYYY-MM-DD key for a timestamp
+     * @param {number} time - Timestamp
+     * @returns {string}
+     */
+    getDateKey(time) {
+        const date = new Date(time);
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Turn a term into an id-safe slug
+     * @param {string} value - Term
+     * @returns {string}
+     */
+    slugify(value) {
+        return String(value)
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+}
+
+// Create and export singleton instance
+const srsScheduler = new SrsScheduler();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = srsScheduler;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.SrsScheduler = srsScheduler;
+}
@@ -0,0 +1,227 @@
+/**
+ * Service Worker - Offline support for IT English Review
+ *
+ * Features:
+ * - Precaches the HTML pages, styles and JS modules (app shell)
+ * - App shell is served network-first, so deploys reach installed clients on the
+ *   next load; the cached copy is only used offline
+ * - Precaches the data/ and ar-help/ content files
+ * - Versioned caches: bump a version to bust the matching cache on the next visit
+ * - Content files are cached per version (?v= from data/content-index.json),
+ *   so an updated file is fetched once and old copies are dropped
+ */
+
+// Bump APP_VERSION when the SHELL_FILES list changes (file contents are revalidated
+// on every online load, so editing a page or script does not need a bump)
+const APP_VERSION = 'v2';
+// Bump CONTENT_VERSION when data/ or ar-help/ files change
+const CONTENT_VERSION = 'v1';
+
+const SHELL_CACHE = `it-english-shell-${APP_VERSION}`;
+const CONTENT_CACHE = `it-english-content-${CONTENT_VERSION}`;
+const RUNTIME_CACHE = 'it-english-runtime';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'reading.html',
+    'synonyms.html',
+    'technical-terms.html',
+    'grammar.html',
+    'writing.html',
+    'exam-simulator.html',
+    'stats.html',
+    'styles.css',
+    'script.js',
+    'language-system.js',
+    'language-integration.js',
+    'content-library.js',
+    'progress-tracker.js',
+    'exam-scoring.js',
+    'question-bank.js',
+    'exam-generator.js',
+    'exam-state-store.js',
+    'srs-scheduler.js',
+    'content-schemas.js',
+    'search-index.js',
+    'search-overlay.js',
+    'speech-service.js',
+    'tense-analyzer.js',
+    'writing-grader.js',
+    'writing-overlay-editor.js',
+    'writing-comparator.js',
+    'writing-draft-store.js'
+];
+
+const CONTENT_FILES = [
+    'data/manifest.json',
+    'data/content-index.json',
+    'data/reading-texts.json',
+    'data/synonyms.json',
+    'data/technical-terms.json',
+    'data/grammar-exercises.json',
+    'data/grammar-rules.json',
+    'data/writing-templates.json',
+    'ar-help/ui-translations.json',
+    'ar-help/content-translations.json',
+    'ar-help/explanations.json'
+];
+
+/**
+ * Fetch files past the HTTP cache and store them
+ * @param {string} cacheName - Target cache
+ * @param {Array<string>} files - Relative URLs
+ * @returns {Promise<void>}
+ */
+async function precache(cacheName, files) {
+    const cache = await caches.open(cacheName);
+    await Promise.all(files.map(async (file) => {
+        const response = await fetch(new Request(file, { cache: 'reload' }));
+        if (!response.ok) {
+            throw new Error(`Failed to precache ${file}: ${response.status}`);
+        }
+        await cache.put(file, response);
+    }));
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        Promise.all([
+            precache(SHELL_CACHE, SHELL_FILES),
+            precache(CONTENT_CACHE, CONTENT_FILES)
+        ]).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, CONTENT_CACHE, RUNTIME_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('it-english-') && !current.includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Is this a data/ or ar-help/ content request?
+ * @param {URL} url - Request URL
+ * @returns {boolean}
+ */
+function isContentRequest(url) {
+    return url.origin === self.location.origin && /\/(data|ar-help)\/[^/]+\.json$/.test(url.pathname);
+}
+
+/**
+ * Serve a content file for the requested version
+ * The content index itself always goes to the network first so updates are detected
+ * @param {Request} request - Request
+ * @returns {Promise<Response>}
+ */
+async function versionedContent(request) {
+    const cache = await caches.open(CONTENT_CACHE);
+    const url = new URL(request.url);
+    const isIndex = url.pathname.endsWith('/content-index.json');
+
+    if (!isIndex) {
+        const exact = await cache.match(request);
+        if (exact) {
+            return exact;
+        }
+    }
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            // Keep a single copy per file: drop cached copies of other versions
+            const keys = await cache.keys();
+            await Promise.all(keys
+                .filter(key => new URL(key.url).pathname === url.pathname)
+                .map(key => cache.delete(key)));
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // Offline: any cached version is better than nothing
+        const fallback = await cache.match(request, { ignoreSearch: true });
+        if (fallback) {
+            return fallback;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Serve from cache, refreshing the cached copy from the network
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache to read and update
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => null);
+
+    return cached || (await network) || Response.error();
+}
+
+/**
+ * Serve the app shell from the network, keeping the cached copy up to date
+ * Offline, the cached copy is used; unknown pages fall back to index.html
+ * @param {Request} request - Request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok && response.type === 'basic') {
+            // One copy per page: ?seed= and similar links share it
+            const url = new URL(request.url);
+            await cache.put(url.origin + url.pathname, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) {
+            return cached;
+        }
+        if (request.mode === 'navigate') {
+            const fallback = await cache.match('index.html');
+            if (fallback) {
+                return fallback;
+            }
+        }
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    if (isContentRequest(url)) {
+        event.respondWith(versionedContent(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    } else {
+        // Third-party assets (icon fonts) are cached as they are used
+        event.respondWith(staleWhileRevalidate(request, RUNTIME_CACHE));
+    }
+});
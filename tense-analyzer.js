@@ -0,0 +1,807 @@
+/**
+ * Tense Analyzer - Offline verb-phrase and tense identification
+ *
+ * Features:
+ * - Small part-of-speech pass: verb forms come from a lexicon (irregular verbs
+ *   and common IT verbs), not from word endings, so "process" and "need" are
+ *   not taken for 3rd-person or past forms
+ * - Auxiliary chains: modals, do-support, going to, perfect (has been -ing,
+ *   will have -ed), continuous and passive voice (is being used)
+ * - Contractions (isn't, won't, it's, they've), negation and yes/no questions
+ * - Bare verbs are only counted as tensed when they follow a subject
+ * - Tense names in English and Arabic, linked to the grammar page rule cards
+ */
+
+class TenseAnalyzer {
+    constructor() {
+        // Singleton pattern
+        if (TenseAnalyzer.instance) {
+            return TenseAnalyzer.instance;
+        }
+
+        // Irregular verbs: [base, past simple, past participle]
+        this.IRREGULAR_VERBS = [
+            ['be', 'was', 'been'], ['have', 'had', 'had'], ['do', 'did', 'done'],
+            ['go', 'went', 'gone'], ['come', 'came', 'come'], ['become', 'became', 'become'],
+            ['take', 'took', 'taken'], ['give', 'gave', 'given'], ['write', 'wrote', 'written'],
+            ['see', 'saw', 'seen'], ['begin', 'began', 'begun'], ['know', 'knew', 'known'],
+            ['grow', 'grew', 'grown'], ['speak', 'spoke', 'spoken'], ['break', 'broke', 'broken'],
+            ['choose', 'chose', 'chosen'], ['steal', 'stole', 'stolen'], ['make', 'made', 'made'],
+            ['find', 'found', 'found'], ['build', 'built', 'built'], ['send', 'sent', 'sent'],
+            ['get', 'got', 'got'], ['run', 'ran', 'run'], ['show', 'showed', 'shown'],
+            ['say', 'said', 'said'], ['tell', 'told', 'told'], ['think', 'thought', 'thought'],
+            ['bring', 'brought', 'brought'], ['buy', 'bought', 'bought'], ['teach', 'taught', 'taught'],
+            ['catch', 'caught', 'caught'], ['seek', 'sought', 'sought'], ['keep', 'kept', 'kept'],
+            ['leave', 'left', 'left'], ['lose', 'lost', 'lost'], ['pay', 'paid', 'paid'],
+            ['sell', 'sold', 'sold'], ['hold', 'held', 'held'], ['lead', 'led', 'led'],
+            ['meet', 'met', 'met'], ['mean', 'meant', 'meant'], ['spend', 'spent', 'spent'],
+            ['feel', 'felt', 'felt'], ['sit', 'sat', 'sat'], ['stand', 'stood', 'stood'],
+            ['understand', 'understood', 'understood'], ['win', 'won', 'won'], ['drive', 'drove', 'driven'],
+            ['eat', 'ate', 'eaten'], ['fall', 'fell', 'fallen'], ['fly', 'flew', 'flown'],
+            ['forget', 'forgot', 'forgotten'], ['freeze', 'froze', 'frozen'], ['hide', 'hid', 'hidden'],
+            ['ride', 'rode', 'ridden'], ['rise', 'rose', 'risen'], ['shake', 'shook', 'shaken'],
+            ['throw', 'threw', 'thrown'], ['wear', 'wore', 'worn'], ['draw', 'drew', 'drawn'],
+            ['drink', 'drank', 'drunk'], ['sing', 'sang', 'sung'], ['swim', 'swam', 'swum'],
+            ['hang', 'hung', 'hung'], ['feed', 'fed', 'fed'], ['deal', 'dealt', 'dealt'],
+            ['strike', 'struck', 'struck'], ['bend', 'bent', 'bent'], ['lend', 'lent', 'lent'],
+            ['sleep', 'slept', 'slept'], ['stick', 'stuck', 'stuck'], ['hear', 'heard', 'heard'],
+            ['learn', 'learnt', 'learnt'], ['read', 'read', 'read'], ['put', 'put', 'put'],
+            ['set', 'set', 'set'], ['let', 'let', 'let'], ['cut', 'cut', 'cut'],
+            ['hit', 'hit', 'hit'], ['cost', 'cost', 'cost'], ['shut', 'shut', 'shut'],
+            ['spread', 'spread', 'spread'], ['upset', 'upset', 'upset'], ['hurt', 'hurt', 'hurt'],
+            ['forbid', 'forbade', 'forbidden'], ['withdraw', 'withdrew', 'withdrawn'],
+            ['overcome', 'overcame', 'overcome'], ['undertake', 'undertook', 'undertaken'],
+            ['rebuild', 'rebuilt', 'rebuilt'], ['rewrite', 'rewrote', 'rewritten'],
+            ['undo', 'undid', 'undone'], ['mislead', 'misled', 'misled'], ['light', 'lit', 'lit']
+        ];
+
+        // Common regular verbs (base forms); other forms are generated
+        this.REGULAR_VERBS = [
+            'use', 'process', 'need', 'store', 'manage', 'develop', 'design', 'test', 'deploy', 'install',
+            'update', 'upgrade', 'configure', 'connect', 'access', 'allow', 'provide', 'create', 'delete',
+            'save', 'load', 'support', 'require', 'include', 'contain', 'display', 'help', 'work', 'call',
+            'return', 'change', 'improve', 'increase', 'reduce', 'protect', 'secure', 'encrypt', 'decrypt',
+            'detect', 'prevent', 'monitor', 'analyze', 'analyse', 'collect', 'compute', 'calculate', 'convert',
+            'transmit', 'receive', 'share', 'search', 'download', 'upload', 'browse', 'click', 'type', 'print',
+            'scan', 'copy', 'paste', 'edit', 'compile', 'execute', 'debug', 'fix', 'crash', 'fail', 'start',
+            'stop', 'finish', 'complete', 'launch', 'release', 'replace', 'restore', 'host', 'serve', 'handle',
+            'control', 'communicate', 'enable', 'disable', 'implement', 'integrate', 'automate', 'optimize',
+            'optimise', 'maintain', 'measure', 'check', 'verify', 'validate', 'authenticate', 'log', 'train',
+            'predict', 'generate', 'solve', 'answer', 'ask', 'explain', 'describe', 'compare', 'discuss',
+            'plan', 'program', 'code', 'hack', 'attack', 'block', 'filter', 'sort', 'link', 'visit', 'open',
+            'close', 'move', 'add', 'remove', 'apply', 'rely', 'depend', 'offer', 'look', 'seem', 'appear',
+            'happen', 'occur', 'want', 'like', 'love', 'hate', 'try', 'study', 'stay', 'live', 'watch',
+            'listen', 'talk', 'play', 'join', 'follow', 'exist', 'affect', 'involve', 'reach', 'believe',
+            'consider', 'continue', 'decide', 'expect', 'introduce', 'invent', 'notice', 'order', 'organize',
+            'own', 'perform', 'prefer', 'prepare', 'produce', 'publish', 'purchase', 'record', 'register',
+            'remember', 'report', 'request', 'respond', 'review', 'schedule', 'select', 'sign', 'submit',
+            'suggest', 'transfer', 'turn', 'wait', 'wish', 'worry', 'charge', 'cause', 'limit', 'focus',
+            'benefit', 'assist', 'post', 'stream', 'subscribe', 'track', 'trace', 'map', 'commit', 'merge',
+            'push', 'pull', 'fetch', 'clone', 'refactor', 'render', 'parse', 'query', 'index', 'cache',
+            'route', 'sync', 'reboot', 'restart', 'transform', 'evolve', 'enter', 'exit', 'achieve', 'travel',
+            'arrive', 'remain', 'recommend', 'identify', 'operate', 'embed'
+        ];
+
+        // Final consonant doubled before -ed/-ing (stop -> stopped)
+        this.DOUBLE_FINAL = [
+            'stop', 'plan', 'map', 'log', 'commit', 'submit', 'control', 'occur', 'prefer', 'transfer',
+            'scan', 'debug', 'program', 'travel', 'drop', 'ship', 'plug', 'skip', 'swap', 'tag', 'wrap'
+        ];
+
+        // Words ending in -ed that are not verb forms
+        this.ED_EXCEPTIONS = ['hundred', 'naked', 'wicked', 'sacred', 'rugged', 'kindred'];
+
+        // Words ending in -ing that are not verb forms
+        this.ING_EXCEPTIONS = [
+            'thing', 'things', 'nothing', 'something', 'anything', 'everything', 'string', 'strings',
+            'morning', 'evening', 'during', 'ceiling', 'king', 'ring', 'spring', 'wing', 'bring', 'sing',
+            'interesting', 'amazing', 'exciting', 'boring', 'confusing', 'challenging', 'surprising',
+            'promising', 'outstanding', 'existing', 'following', 'upcoming', 'ongoing'
+        ];
+
+        // Auxiliaries: the time each finite form marks
+        this.MODALS = ['will', 'shall', 'would', 'can', 'could', 'should', 'must', 'may', 'might'];
+        this.FUTURE_MODALS = ['will', 'shall'];
+        this.BE_FORMS = { am: 'present', is: 'present', are: 'present', was: 'past', were: 'past', be: null, been: null, being: null };
+        this.HAVE_FORMS = { have: 'present', has: 'present', had: 'past', having: null };
+        this.DO_FORMS = { do: 'present', does: 'present', did: 'past' };
+
+        // Words allowed inside a verb phrase ("has not yet been", "will also run")
+        this.PHRASE_ADVERBS = [
+            'not', 'never', 'also', 'already', 'just', 'still', 'always', 'often', 'sometimes', 'now',
+            'even', 'ever', 'soon', 'yet', 'then', 'all', 'both', 'again', 'once', 'mostly', 'seldom'
+        ];
+
+        this.PRONOUNS = {
+            singular: ['he', 'she', 'it', 'this', 'that', 'there', 'everyone', 'someone', 'everybody', 'somebody', 'nobody', 'one', 'each', 'everything', 'something', 'nothing'],
+            plural: ['i', 'you', 'we', 'they', 'these', 'those'],
+            relative: ['who', 'which', 'that', 'what']
+        };
+
+        // Question words that may come before an inverted auxiliary ("When will it be released?")
+        this.QUESTION_WORDS = ['what', 'when', 'where', 'why', 'how', 'which', 'who'];
+
+        this.DETERMINERS = [
+            'the', 'a', 'an', 'this', 'that', 'these', 'those', 'my', 'your', 'his', 'her', 'its', 'our',
+            'their', 'some', 'any', 'many', 'much', 'every', 'each', 'no', 'several', 'few', 'more', 'most',
+            'another', 'other', 'such', 'own'
+        ];
+
+        this.FUNCTION_WORDS = [
+            'to', 'in', 'on', 'at', 'of', 'for', 'with', 'by', 'from', 'about', 'into', 'over', 'under',
+            'between', 'through', 'during', 'after', 'before', 'without', 'within', 'across', 'against',
+            'among', 'via', 'per', 'than', 'as', 'like', 'and', 'or', 'but', 'so', 'because', 'if', 'when',
+            'while', 'although', 'though', 'since', 'unless', 'until', 'whereas', 'however', 'therefore',
+            'me', 'him', 'us', 'them', 'not', 'very', 'too', 'also', 'only', 'where', 'how', 'why', 'whether'
+        ];
+
+        // Irregular plurals seen as subjects ("people use", "data show")
+        this.PLURAL_NOUNS = ['people', 'children', 'data', 'media', 'men', 'women', 'criteria', 'staff', 'police'];
+
+        // Subject pronouns whose 's is "is"/"has" (elsewhere 's is a possessive)
+        this.S_CONTRACTION_HOSTS = ['it', 'he', 'she', 'that', 'there', 'what', 'who', 'here', 'where', 'how'];
+
+        // Tense names and the grammar page rule card that explains each one
+        this.TENSE_NAMES = {
+            'present simple': { en: 'Present Simple', ar: 'المضارع البسيط', ruleId: 'rule-present-simple' },
+            'present continuous': { en: 'Present Continuous', ar: 'المضارع المستمر', ruleId: 'rule-present-continuous' },
+            'present perfect': { en: 'Present Perfect', ar: 'المضارع التام', ruleId: 'rule-present-perfect' },
+            'present perfect continuous': { en: 'Present Perfect Continuous', ar: 'المضارع التام المستمر', ruleId: 'rule-present-perfect' },
+            'past simple': { en: 'Past Simple', ar: 'الماضي البسيط', ruleId: 'rule-past-simple' },
+            'past continuous': { en: 'Past Continuous', ar: 'الماضي المستمر', ruleId: 'rule-past-continuous' },
+            'past perfect': { en: 'Past Perfect', ar: 'الماضي التام', ruleId: null },
+            'past perfect continuous': { en: 'Past Perfect Continuous', ar: 'الماضي التام المستمر', ruleId: null },
+            'future simple': { en: 'Future Simple', ar: 'المستقبل البسيط', ruleId: 'rule-future' },
+            'future continuous': { en: 'Future Continuous', ar: 'المستقبل المستمر', ruleId: 'rule-future' },
+            'future perfect': { en: 'Future Perfect', ar: 'المستقبل التام', ruleId: 'rule-future' },
+            'future perfect continuous': { en: 'Future Perfect Continuous', ar: 'المستقبل التام المستمر', ruleId: 'rule-future' },
+            'modal': { en: 'Modal verb', ar: 'فعل مساعد ناقص (modal)', ruleId: null }
+        };
+
+        this.forms = null; // word -> [{ base, form }], built on first use
+
+        // Set singleton instance
+        TenseAnalyzer.instance = this;
+    }
+
+    /**
+     * Find the verb phrases of a text and their tenses
+     * @param {string} text - Text
+     * @returns {Object} { phrases: [{ text, start, end, tense, time, aspect, voice, negative, modal, verb }],
+     *                     tenses: unique tense names in order of use, counts: { tense: number } }
+     */
+    analyze(text) {
+        const tokens = this.tokenize(text);
+        const phrases = [];
+        const used = new Set();
+
+        this.getClauses(tokens).forEach(clause => {
+            let found = false;
+            clause.forEach((token, position) => {
+                if (used.has(token.index)) return;
+
+                const phrase = this.isAuxiliary(token)
+                    ? this.parseChain(clause, position)
+                    : this.parseBareVerb(clause, position, found);
+                if (!phrase) return;
+
+                phrase.indexes.forEach(index => used.add(index));
+                delete phrase.indexes;
+                phrase.text = String(text).slice(phrase.start, phrase.end);
+                phrases.push(phrase);
+                found = true;
+            });
+        });
+
+        phrases.sort((a, b) => a.start - b.start);
+
+        const counts = {};
+        phrases.forEach(phrase => {
+            counts[phrase.tense] = (counts[phrase.tense] || 0) + 1;
+        });
+
+        return {
+            phrases: phrases,
+            tenses: Object.keys(counts),
+            counts: counts
+        };
+    }
+
+    /**
+     * Tenses used in a text (the modal entry is left out)
+     * @param {string} text - Text
+     * @returns {Array<string>} e.g. ['present simple', 'past simple']
+     */
+    detectTenses(text) {
+        return this.analyze(text).tenses.filter(tense => tense !== 'modal');
+    }
+
+    /**
+     * Display names of a tense
+     * @param {string} tense - Tense from analyze()
+     * @returns {Object} { en, ar, ruleId }
+     */
+    getTenseName(tense) {
+        return this.TENSE_NAMES[tense] || { en: tense, ar: tense, ruleId: null };
+    }
+
+    /**
+     * Irregular past simple forms that differ from the base form,
+     * with the base form and participle (for spotting "did went" / "has wrote")
+     * @returns {Object} { went: { base: 'go', participle: 'gone' }, ... }
+     */
+    getIrregularPastForms() {
+        const forms = {};
+        // "found" is also a verb of its own ("found a company")
+        const ambiguous = ['found'];
+        this.IRREGULAR_VERBS.forEach(([base, past, participle]) => {
+            if (past !== base && !['be', 'have', 'do'].includes(base) && !ambiguous.includes(past)) {
+                forms[past] = { base, participle };
+            }
+        });
+        return forms;
+    }
+
+    // ===== Tokens =====
+
+    /**
+     * Split a text into word and punctuation tokens, expanding contractions
+     * (every part of "isn't" keeps the position of the whole word)
+     * @param {string} text - Text
+     * @returns {Array<Object>} { word (lowercase), start, end, index, punctuation }
+     */
+    tokenize(text) {
+        const tokens = [];
+        const pattern = /[A-Za-z]+(?:['’][A-Za-z]+)?|[.!?;:,()]/g;
+        let match;
+
+        while ((match = pattern.exec(String(text || ''))) !== null) {
+            const start = match.index;
+            const end = start + match[0].length;
+            this.expandContraction(match[0].toLowerCase().replace('’', "'")).forEach(word => {
+                tokens.push({ word, start, end, index: tokens.length, punctuation: /^[.!?;:,()]$/.test(word) });
+            });
+        }
+
+        return tokens;
+    }
+
+    /**
+     * @param {string} word - Lowercase word
+     * @returns {Array<string>} Its parts ('s and 'd are resolved later)
+     */
+    expandContraction(word) {
+        const special = { "won't": ['will', 'not'], "can't": ['can', 'not'], "shan't": ['shall', 'not'], "let's": ['let', 'us'] };
+        if (special[word]) {
+            return special[word];
+        }
+        if (word.endsWith("n't")) {
+            return [word.slice(0, -3), 'not'];
+        }
+
+        const parts = word.split("'");
+        if (parts.length !== 2) {
+            return [word];
+        }
+
+        const [host, ending] = parts;
+        const endings = { ll: 'will', ve: 'have', re: 'are', m: 'am', d: "'d" };
+        if (endings[ending]) {
+            return [host, endings[ending]];
+        }
+        if (ending === 's' && this.S_CONTRACTION_HOSTS.includes(host)) {
+            return [host, "'s"];
+        }
+        // Possessive ('s) or an unknown form: keep the word itself
+        return [host];
+    }
+
+    /**
+     * Split the tokens at punctuation (phrases never cross it)
+     * @param {Array<Object>} tokens - Tokens
+     * @returns {Array<Array<Object>>} Clauses; each remembers whether it ends a question
+     */
+    getClauses(tokens) {
+        const clauses = [];
+        let current = [];
+
+        tokens.forEach(token => {
+            if (token.punctuation) {
+                if (current.length) {
+                    current.question = token.word === '?';
+                    clauses.push(current);
+                }
+                current = [];
+            } else {
+                current.push(token);
+            }
+        });
+        if (current.length) {
+            clauses.push(current);
+        }
+
+        return clauses;
+    }
+
+    // ===== Lexicon =====
+
+    /**
+     * Verb forms a word can be (empty for non-verbs)
+     * @param {string} word - Lowercase word
+     * @returns {Array<Object>} { base, form: 'base' | '3s' | 'past' | 'participle' | 'ing' }
+     */
+    getVerbForms(word) {
+        if (!this.forms) {
+            this.buildForms();
+        }
+
+        const known = this.forms.get(word);
+        if (known) {
+            return known;
+        }
+
+        // Unknown verbs: only the -ing and -ed endings are reliable enough
+        if (word.length > 4 && word.endsWith('ing') && !this.ING_EXCEPTIONS.includes(word)) {
+            return [{ base: this.guessBase(word.slice(0, -3)), form: 'ing' }];
+        }
+        if (word.length > 4 && word.endsWith('ed') && !word.endsWith('eed') && !this.ED_EXCEPTIONS.includes(word)) {
+            const base = word.endsWith('ied') ? `${word.slice(0, -3)}y` : this.guessBase(word.slice(0, -2));
+            return [{ base, form: 'past' }, { base, form: 'participle' }];
+        }
+        return [];
+    }
+
+    /**
+     * Best guess of the base form of an unknown verb from its -ed/-ing stem
+     * (migrat -> migrate, optimiz -> optimize, stopp -> stop)
+     * @param {string} stem - Word without -ed/-ing
+     * @returns {string}
+     */
+    guessBase(stem) {
+        if (/([^aeiouls])\1$/.test(stem)) return stem.slice(0, -1);
+        if (/(?:at|iz|is|v|c|g|ur|us|bl|pl|tl)$/.test(stem)) return `${stem}e`;
+        return stem;
+    }
+
+    /**
+     * @param {string} word - Lowercase word
+     * @param {string} form - Form name
+     * @returns {Object|null} { base, form }
+     */
+    getForm(word, form) {
+        return this.getVerbForms(word).find(entry => entry.form === form) || null;
+    }
+
+    /**
+     * Build the form lookup from the verb lists
+     */
+    buildForms() {
+        this.forms = new Map();
+        const add = (word, base, form) => {
+            const entries = this.forms.get(word) || [];
+            if (!entries.some(entry => entry.base === base && entry.form === form)) {
+                entries.push({ base, form });
+            }
+            this.forms.set(word, entries);
+        };
+
+        this.IRREGULAR_VERBS.forEach(([base, past, participle]) => {
+            add(base, base, 'base');
+            add(this.thirdPerson(base), base, '3s');
+            add(past, base, 'past');
+            add(participle, base, 'participle');
+            add(this.ingForm(base), base, 'ing');
+        });
+
+        this.REGULAR_VERBS.forEach(base => {
+            const past = this.pastForm(base);
+            add(base, base, 'base');
+            add(this.thirdPerson(base), base, '3s');
+            add(past, base, 'past');
+            add(past, base, 'participle');
+            add(this.ingForm(base), base, 'ing');
+        });
+
+        // Irregular auxiliary forms
+        ['am', 'is', 'are'].forEach(word => add(word, 'be', word === 'is' ? '3s' : 'base'));
+        add('were', 'be', 'past');
+        add('has', 'have', '3s');
+        add('does', 'do', '3s');
+    }
+
+    /**
+     * @param {string} base - Base form
+     * @returns {string} 3rd person singular (goes, fixes, applies)
+     */
+    thirdPerson(base) {
+        if (base === 'have') return 'has';
+        if (/(?:s|x|z|ch|sh|o)$/.test(base)) return `${base}es`;
+        if (/[^aeiou]y$/.test(base)) return `${base.slice(0, -1)}ies`;
+        return `${base}s`;
+    }
+
+    /**
+     * @param {string} base - Base form of a regular verb
+     * @returns {string} -ed form (stored, applied, stopped)
+     */
+    pastForm(base) {
+        if (base.endsWith('e')) return `${base}d`;
+        if (/[^aeiou]y$/.test(base)) return `${base.slice(0, -1)}ied`;
+        if (this.DOUBLE_FINAL.includes(base)) return `${base}${base.slice(-1)}ed`;
+        return `${base}ed`;
+    }
+
+    /**
+     * @param {string} base - Base form
+     * @returns {string} -ing form (storing, stopping, seeing)
+     */
+    ingForm(base) {
+        if (base.endsWith('ie')) return `${base.slice(0, -2)}ying`;
+        if (base.endsWith('e') && !/(?:ee|ye|oe)$/.test(base) && base !== 'be') return `${base.slice(0, -1)}ing`;
+        if (this.DOUBLE_FINAL.includes(base) || ['run', 'get', 'sit', 'win', 'swim', 'begin', 'forget', 'set', 'put', 'cut', 'hit', 'let', 'shut', 'upset', 'forbid'].includes(base)) {
+            return `${base}${base.slice(-1)}ing`;
+        }
+        return `${base}ing`;
+    }
+
+    // ===== Verb phrases =====
+
+    /**
+     * @param {Object} token - Token
+     * @returns {boolean}
+     */
+    isAuxiliary(token) {
+        return this.MODALS.includes(token.word) ||
+            token.word in this.BE_FORMS ||
+            token.word in this.HAVE_FORMS ||
+            token.word in this.DO_FORMS ||
+            token.word === "'s" || token.word === "'d";
+    }
+
+    /**
+     * Next token of the phrase, skipping adverbs (and noting "not")
+     * @param {Array<Object>} clause - Clause tokens
+     * @param {number} position - Current position
+     * @param {Object} state - Phrase state (negative is set here)
+     * @returns {number} Position of the next token or -1
+     */
+    nextInPhrase(clause, position, state) {
+        for (let next = position + 1; next < clause.length; next++) {
+            const word = clause[next].word;
+            if (word === 'not' || word === 'never') {
+                state.negative = true;
+            } else if (!this.PHRASE_ADVERBS.includes(word) && !this.isAdverb(word)) {
+                return next;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * -ly adverbs (but not verbs such as "apply" or "rely")
+     * @param {string} word - Lowercase word
+     * @returns {boolean}
+     */
+    isAdverb(word) {
+        return word.length > 4 && word.endsWith('ly') && !this.getVerbForms(word).length;
+    }
+
+    /**
+     * Parse an auxiliary chain starting at a position
+     * @param {Array<Object>} clause - Clause tokens
+     * @param {number} position - Position of the first auxiliary
+     * @returns {Object|null} Phrase
+     */
+    parseChain(clause, position) {
+        const first = clause[position];
+        let word = this.resolveContraction(clause, position);
+        const state = {
+            time: null,
+            modal: null,
+            perfect: false,
+            continuous: false,
+            passive: false,
+            negative: false,
+            verb: null,
+            last: position
+        };
+
+        // Finite element: sets the time of the phrase
+        if (this.MODALS.includes(word)) {
+            state.modal = word;
+            state.time = this.FUTURE_MODALS.includes(word) ? 'future' : 'modal';
+        } else {
+            state.time = this.BE_FORMS[word] || this.HAVE_FORMS[word] || this.DO_FORMS[word] || null;
+        }
+        if (!state.time) {
+            // Non-finite be/have/being/been on their own are not tensed
+            return null;
+        }
+
+        let current = position;
+        // Yes/no questions: the subject sits between the auxiliary and the verb
+        let inversion = clause.question &&
+            (position === 0 || (position === 1 && this.QUESTION_WORDS.includes(clause[0].word)));
+
+        while (word) {
+            let next = this.nextInPhrase(clause, current, state);
+            if (next < 0) break;
+
+            let nextWord = clause[next].word;
+            const expects = this.getExpectedForms(word);
+            if (!this.fitsSlot(nextWord, expects) && inversion) {
+                next = this.skipSubject(clause, next, expects);
+                nextWord = next >= 0 ? clause[next].word : null;
+            }
+            inversion = false;
+            if (next < 0 || !this.fitsSlot(nextWord, expects)) break;
+
+            // "am/is/are/was/were going to + verb" is a future form
+            if ((word in this.BE_FORMS) && nextWord === 'going' && clause[next + 1] && clause[next + 1].word === 'to' &&
+                clause[next + 2] && this.getForm(clause[next + 2].word, 'base') && state.time !== 'modal' && !state.perfect) {
+                state.time = state.time === 'past' ? 'past' : 'future';
+                state.goingTo = true;
+                current = next + 2;
+                word = clause[current].word;
+                state.last = current;
+                if (!this.isChainVerb(word)) {
+                    state.verb = this.getForm(word, 'base').base;
+                    break;
+                }
+                continue;
+            }
+
+            const slot = this.getSlot(word, nextWord);
+            if (slot === 'perfect') state.perfect = true;
+            if (slot === 'continuous') state.continuous = true;
+            if (slot === 'passive') state.passive = true;
+
+            current = next;
+            word = nextWord;
+            state.last = current;
+
+            if (!this.isChainVerb(word) || slot === 'main') {
+                break;
+            }
+        }
+
+        state.verb = state.verb || this.getBase(word);
+        return this.buildPhrase(clause, position, state, first);
+    }
+
+    /**
+     * 's is "has" before been/got or a participle-only form, otherwise "is";
+     * 'd is "had" before a participle, otherwise "would"
+     * @param {Array<Object>} clause - Clause tokens
+     * @param {number} position - Position of the token
+     * @returns {string} The auxiliary it stands for
+     */
+    resolveContraction(clause, position) {
+        const word = clause[position].word;
+        if (word !== "'s" && word !== "'d") {
+            return word;
+        }
+
+        const next = this.nextInPhrase(clause, position, {});
+        const nextWord = next >= 0 ? clause[next].word : '';
+        if (word === "'s") {
+            const forms = this.getVerbForms(nextWord);
+            const participleOnly = forms.some(entry => entry.form === 'participle') && !forms.some(entry => entry.form === 'past');
+            return nextWord === 'been' || nextWord === 'got' || (participleOnly && !this.getForm(nextWord, 'base')) ? 'has' : 'is';
+        }
+        return this.getForm(nextWord, 'participle') && !this.getForm(nextWord, 'base') ? 'had' : 'would';
+    }
+
+    /**
+     * Forms that may follow an auxiliary
+     * @param {string} word - Auxiliary
+     * @returns {Array<string>}
+     */
+    getExpectedForms(word) {
+        if (this.MODALS.includes(word) || word in this.DO_FORMS) return ['base'];
+        if (word in this.HAVE_FORMS) return ['participle'];
+        if (word === 'being') return ['participle'];
+        if (word in this.BE_FORMS) return ['ing', 'participle', 'going'];
+        return [];
+    }
+
+    /**
+     * @param {string} word - Candidate word
+     * @param {Array<string>} expects - Forms from getExpectedForms()
+     * @returns {boolean}
+     */
+    fitsSlot(word, expects) {
+        if (!word) return false;
+        if (expects.includes('going') && word === 'going') return true;
+        if (expects.includes('base') && ['be', 'have'].includes(word)) return true;
+        return this.getVerbForms(word).some(entry => expects.includes(entry.form));
+    }
+
+    /**
+     * Role of a verb after an auxiliary
+     * @param {string} auxiliary - Previous auxiliary
+     * @param {string} word - Following verb
+     * @returns {string} 'perfect' | 'continuous' | 'passive' | 'chain' | 'main'
+     */
+    getSlot(auxiliary, word) {
+        if (auxiliary in this.HAVE_FORMS) return 'perfect';
+        if (auxiliary in this.BE_FORMS) {
+            if (word === 'being') return 'continuous';
+            if (this.getForm(word, 'ing')) return 'continuous';
+            return 'passive';
+        }
+        return this.isChainVerb(word) ? 'chain' : 'main';
+    }
+
+    /**
+     * Can this verb take another verb after it in a chain?
+     * @param {string} word - Word
+     * @returns {boolean}
+     */
+    isChainVerb(word) {
+        return word === 'be' || word === 'been' || word === 'being' || word === 'have';
+    }
+
+    /**
+     * Skip the subject of a question ("Has the server crashed?")
+     * @param {Array<Object>} clause - Clause tokens
+     * @param {number} position - First subject token
+     * @param {Array<string>} expects - Forms the verb must have
+     * @returns {number} Position of the verb or -1
+     */
+    skipSubject(clause, position, expects) {
+        const MAX_SUBJECT_WORDS = 3;
+        for (let next = position; next < clause.length && next < position + MAX_SUBJECT_WORDS + 1; next++) {
+            // A verb form right after "the"/"a" is a noun ("the update")
+            if (next > position && this.fitsSlot(clause[next].word, expects) &&
+                !this.DETERMINERS.includes(clause[next - 1].word)) {
+                return next;
+            }
+            if (this.FUNCTION_WORDS.includes(clause[next].word)) {
+                return -1;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * A verb without an auxiliary is tensed only after a subject
+     * ("the system processes", "we need") - not after "the" or "to"
+     * @param {Array<Object>} clause - Clause tokens
+     * @param {number} position - Position of the word
+     * @param {boolean} afterVerb - A phrase was already found in the clause ("... and sends")
+     * @returns {Object|null} Phrase
+     */
+    parseBareVerb(clause, position, afterVerb) {
+        const word = clause[position].word;
+        const forms = this.getVerbForms(word);
+        if (!forms.length || position === 0) {
+            return null;
+        }
+
+        let previous = position - 1;
+        while (previous > 0 && (this.PHRASE_ADVERBS.includes(clause[previous].word) || this.isAdverb(clause[previous].word))) {
+            previous--;
+        }
+        const subject = clause[previous].word;
+        const beforeSubject = previous > 0 ? clause[previous - 1].word : null;
+
+        let form = null;
+        if (['and', 'or', 'but'].includes(subject)) {
+            // Second verb of the same subject: only unambiguous finite forms
+            if (afterVerb) {
+                form = ['3s', 'past'].find(name => forms.some(entry => entry.form === name));
+            }
+        } else if (this.PRONOUNS.relative.includes(subject) && !(subject === 'that' && beforeSubject && this.DETERMINERS.includes(beforeSubject))) {
+            form = ['3s', 'past', 'base'].find(name => forms.some(entry => entry.form === name));
+        } else if (this.PRONOUNS.singular.includes(subject)) {
+            form = ['3s', 'past'].find(name => forms.some(entry => entry.form === name));
+        } else if (this.PRONOUNS.plural.includes(subject)) {
+            form = ['base', 'past'].find(name => forms.some(entry => entry.form === name));
+        } else if (this.isNoun(clause, previous)) {
+            const plural = this.isPluralNoun(subject);
+            form = [plural ? 'base' : '3s', 'past'].find(name => forms.some(entry => entry.form === name));
+        }
+
+        if (!form) {
+            return null;
+        }
+
+        const base = forms.find(entry => entry.form === form).base;
+        const state = {
+            time: form === 'past' ? 'past' : 'present',
+            modal: null,
+            perfect: false,
+            continuous: false,
+            passive: false,
+            negative: false,
+            verb: base,
+            last: position
+        };
+        return this.buildPhrase(clause, position, state, clause[position]);
+    }
+
+    /**
+     * Is the token a noun that can be a subject?
+     * Verb-like words count as nouns after a determiner ("the process works")
+     * @param {Array<Object>} clause - Clause tokens
+     * @param {number} position - Position
+     * @returns {boolean}
+     */
+    isNoun(clause, position) {
+        const word = clause[position].word;
+        if (this.FUNCTION_WORDS.includes(word) || this.DETERMINERS.includes(word) ||
+            this.isAuxiliary(clause[position]) || this.isAdverb(word)) {
+            return false;
+        }
+
+        const forms = this.getVerbForms(word);
+        if (!forms.length || forms.every(entry => entry.form === 'ing')) {
+            return true;
+        }
+        return position > 0 && this.DETERMINERS.includes(clause[position - 1].word);
+    }
+
+    /**
+     * @param {string} word - Noun
+     * @returns {boolean}
+     */
+    isPluralNoun(word) {
+        return this.PLURAL_NOUNS.includes(word) || (word.length > 3 && word.endsWith('s') && !/(?:ss|us|is)$/.test(word));
+    }
+
+    /**
+     * @param {string} word - Verb form
+     * @returns {string} Base form (the word itself when unknown)
+     */
+    getBase(word) {
+        if (word in this.BE_FORMS) return 'be';
+        const forms = this.getVerbForms(word);
+        return forms.length ? forms[0].base : word;
+    }
+
+    /**
+     * Turn a parse state into a phrase
+     * @param {Array<Object>} clause - Clause tokens
+     * @param {number} position - First token of the phrase
+     * @param {Object} state - Parse state
+     * @param {Object} first - First token
+     * @returns {Object} Phrase
+     */
+    buildPhrase(clause, position, state, first) {
+        let aspect = 'simple';
+        if (state.perfect && state.continuous) aspect = 'perfect continuous';
+        else if (state.perfect) aspect = 'perfect';
+        else if (state.continuous) aspect = 'continuous';
+
+        const tense = state.time === 'modal' ? 'modal' : `${state.time} ${aspect}`;
+        const indexes = clause.slice(position, state.last + 1).map(token => token.index);
+
+        return {
+            start: first.start,
+            end: clause[state.last].end,
+            tense: tense,
+            time: state.time,
+            aspect: aspect,
+            voice: state.passive ? 'passive' : 'active',
+            negative: state.negative,
+            modal: state.modal,
+            goingTo: Boolean(state.goingTo),
+            verb: state.verb,
+            indexes: indexes
+        };
+    }
+}
+
+// Create and export singleton instance
+const tenseAnalyzer = new TenseAnalyzer();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = tenseAnalyzer;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.TenseAnalyzer = tenseAnalyzer;
+}
@@ -0,0 +1,285 @@
+/**
+ * Writing Comparator - Compare a student's draft with a model answer
+ *
+ * Features:
+ * - Template keywords used by each text (same matching as WritingGrader)
+ * - Sentence alignment: each draft sentence is paired with the model sentence
+ *   it is closest to, keeping the order of both texts
+ * - Model vocabulary the draft did not use (content words only)
+ * - Similarity score: cosine similarity of the content-word lemmas (0-100)
+ * - Verb forms are reduced to their base with TenseAnalyzer when it is loaded
+ *   ("became" and "becomes" count as the same word)
+ */
+
+class WritingComparator {
+    constructor() {
+        // Singleton pattern
+        if (WritingComparator.instance) {
+            return WritingComparator.instance;
+        }
+
+        // Minimum sentence overlap (Dice coefficient of lemmas) to pair two sentences
+        this.MIN_ALIGNMENT_SCORE = 0.2;
+
+        // Function words left out of the vocabulary and the similarity score
+        this.STOP_WORDS = new Set([
+            'a', 'an', 'the', 'and', 'or', 'but', 'so', 'if', 'as', 'of', 'to', 'in', 'on', 'at', 'by',
+            'for', 'with', 'from', 'into', 'about', 'than', 'then', 'that', 'this', 'these', 'those',
+            'it', 'its', 'they', 'them', 'their', 'we', 'our', 'us', 'you', 'your', 'he', 'she', 'his',
+            'her', 'i', 'me', 'my', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'am', 'has', 'have',
+            'had', 'do', 'does', 'did', 'will', 'would', 'can', 'could', 'should', 'may', 'might', 'must',
+            'shall', 'not', 'no', 'any', 'some', 'such', 'which', 'who', 'what', 'when', 'where', 'how',
+            'also', 'very', 'there', 'here', 'all', 'each', 'every', 'more', 'most', 'other', 'another',
+            'one', 'many', 'much', 'own', 'just', 'only', 'too', 'while', 'because', 'however', 'therefore',
+            'against', 'between', 'through', 'over', 'under', 'after', 'before', 'without', 'within', 'during'
+        ]);
+
+        // Set singleton instance
+        WritingComparator.instance = this;
+    }
+
+    /**
+     * Compare a draft with a model answer
+     * @param {string} draft - Student's text
+     * @param {string} model - Model answer
+     * @param {Object} options - { keywords: template keywords }
+     * @returns {Object} { similarity, keywords, rows, missingVocabulary, sharedVocabulary, stats }
+     */
+    compare(draft, model, options = {}) {
+        const keywords = Array.isArray(options.keywords) ? options.keywords : [];
+        const draftSentences = this.splitSentences(draft);
+        const modelSentences = this.splitSentences(model);
+        const draftWords = this.getContentWords(draft);
+        const modelWords = this.getContentWords(model);
+
+        const rows = this.alignSentences(draftSentences, modelSentences);
+        const vocabulary = this.compareVocabulary(draftWords, modelWords, keywords);
+
+        return {
+            similarity: Math.round(this.cosineSimilarity(draftWords, modelWords) * 100),
+            keywords: keywords.map(keyword => ({
+                keyword: keyword,
+                inDraft: this.containsKeyword(draft, keyword),
+                inModel: this.containsKeyword(model, keyword)
+            })),
+            rows: rows,
+            missingVocabulary: vocabulary.missing,
+            sharedVocabulary: vocabulary.shared,
+            stats: {
+                draftSentences: draftSentences.length,
+                modelSentences: modelSentences.length,
+                matchedSentences: rows.filter(row => row.draft && row.model).length
+            }
+        };
+    }
+
+    /**
+     * Pair sentences in order (dynamic programming: the pairs with the highest total
+     * overlap that never cross), then list the unpaired sentences in between
+     * @param {Array<string>} draftSentences - Draft sentences
+     * @param {Array<string>} modelSentences - Model sentences
+     * @returns {Array<Object>} { draft: { index, text } | null, model: { index, text } | null, score: 0..1 }
+     */
+    alignSentences(draftSentences, modelSentences) {
+        const draftLemmas = draftSentences.map(sentence => new Set(this.getContentWords(sentence).map(word => word.lemma)));
+        const modelLemmas = modelSentences.map(sentence => new Set(this.getContentWords(sentence).map(word => word.lemma)));
+        const rowsCount = draftSentences.length;
+        const columnsCount = modelSentences.length;
+
+        const scores = draftLemmas.map(draftSet => modelLemmas.map(modelSet => this.diceScore(draftSet, modelSet)));
+        const best = Array.from({ length: rowsCount + 1 }, () => new Array(columnsCount + 1).fill(0));
+
+        for (let i = 1; i <= rowsCount; i++) {
+            for (let j = 1; j <= columnsCount; j++) {
+                const score = scores[i - 1][j - 1];
+                best[i][j] = Math.max(
+                    best[i - 1][j],
+                    best[i][j - 1],
+                    score >= this.MIN_ALIGNMENT_SCORE ? best[i - 1][j - 1] + score : 0
+                );
+            }
+        }
+
+        // Walk back from the end to recover the pairs
+        const pairs = [];
+        let i = rowsCount;
+        let j = columnsCount;
+        while (i > 0 && j > 0) {
+            const score = scores[i - 1][j - 1];
+            if (score >= this.MIN_ALIGNMENT_SCORE && best[i][j] === best[i - 1][j - 1] + score) {
+                pairs.unshift([i - 1, j - 1, score]);
+                i--;
+                j--;
+            } else if (best[i][j] === best[i - 1][j]) {
+                i--;
+            } else {
+                j--;
+            }
+        }
+
+        // Rows in reading order: unpaired sentences before each pair, then the pair
+        const rows = [];
+        let nextDraft = 0;
+        let nextModel = 0;
+        const addUnpaired = (draftEnd, modelEnd) => {
+            for (; nextDraft < draftEnd; nextDraft++) {
+                rows.push({ draft: { index: nextDraft, text: draftSentences[nextDraft] }, model: null, score: 0 });
+            }
+            for (; nextModel < modelEnd; nextModel++) {
+                rows.push({ draft: null, model: { index: nextModel, text: modelSentences[nextModel] }, score: 0 });
+            }
+        };
+
+        pairs.forEach(([draftIndex, modelIndex, score]) => {
+            addUnpaired(draftIndex, modelIndex);
+            rows.push({
+                draft: { index: draftIndex, text: draftSentences[draftIndex] },
+                model: { index: modelIndex, text: modelSentences[modelIndex] },
+                score: score
+            });
+            nextDraft = draftIndex + 1;
+            nextModel = modelIndex + 1;
+        });
+        addUnpaired(rowsCount, columnsCount);
+
+        return rows;
+    }
+
+    /**
+     * Model words the draft did not use, and the words both used
+     * (template keywords are listed separately, so they are left out)
+     * @param {Array<Object>} draftWords - From getContentWords()
+     * @param {Array<Object>} modelWords - From getContentWords()
+     * @param {Array<string>} keywords - Template keywords
+     * @returns {Object} { missing: [word], shared: [word] } in model order, one entry per lemma
+     */
+    compareVocabulary(draftWords, modelWords, keywords) {
+        const draftLemmas = new Set(draftWords.map(word => word.lemma));
+        const keywordLemmas = new Set(keywords.flatMap(keyword =>
+            this.getContentWords(keyword).map(word => word.lemma)));
+        const seen = new Set();
+        const missing = [];
+        const shared = [];
+
+        modelWords.forEach(word => {
+            if (seen.has(word.lemma) || keywordLemmas.has(word.lemma)) return;
+            seen.add(word.lemma);
+            (draftLemmas.has(word.lemma) ? shared : missing).push(word.text);
+        });
+
+        return { missing, shared };
+    }
+
+    /**
+     * @param {Array<Object>} wordsA - Content words
+     * @param {Array<Object>} wordsB - Content words
+     * @returns {number} 0..1
+     */
+    cosineSimilarity(wordsA, wordsB) {
+        const countsA = this.countLemmas(wordsA);
+        const countsB = this.countLemmas(wordsB);
+
+        let dot = 0;
+        countsA.forEach((count, lemma) => {
+            dot += count * (countsB.get(lemma) || 0);
+        });
+
+        const norm = counts => Math.sqrt([...counts.values()].reduce((sum, count) => sum + count * count, 0));
+        const denominator = norm(countsA) * norm(countsB);
+        return denominator ? dot / denominator : 0;
+    }
+
+    /**
+     * @param {Set<string>} setA - Lemmas
+     * @param {Set<string>} setB - Lemmas
+     * @returns {number} 0..1
+     */
+    diceScore(setA, setB) {
+        if (!setA.size || !setB.size) return 0;
+        let common = 0;
+        setA.forEach(lemma => {
+            if (setB.has(lemma)) common++;
+        });
+        return (2 * common) / (setA.size + setB.size);
+    }
+
+    /**
+     * @param {Array<Object>} words - Content words
+     * @returns {Map<string, number>} Lemma counts
+     */
+    countLemmas(words) {
+        const counts = new Map();
+        words.forEach(word => counts.set(word.lemma, (counts.get(word.lemma) || 0) + 1));
+        return counts;
+    }
+
+    /**
+     * Content words of a text with their lemmas
+     * @param {string} text - Text
+     * @returns {Array<Object>} { text (lowercase), lemma }
+     */
+    getContentWords(text) {
+        return (String(text || '').toLowerCase().match(/[a-z]+(?:'[a-z]+)?/g) || [])
+            .map(word => word.replace(/'s$/, ''))
+            .filter(word => word.length > 1 && !this.STOP_WORDS.has(word) && !word.includes("'"))
+            .map(word => ({ text: word, lemma: this.getLemma(word) }));
+    }
+
+    /**
+     * Dictionary form of a word: verb base from TenseAnalyzer, otherwise plural -s removed
+     * @param {string} word - Lowercase word
+     * @returns {string}
+     */
+    getLemma(word) {
+        const analyzer = typeof window !== 'undefined' ? window.TenseAnalyzer : null;
+        if (analyzer) {
+            const forms = analyzer.getVerbForms(word);
+            if (forms.length) {
+                return forms[0].base;
+            }
+        }
+
+        if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+        if (word.length > 4 && /(?:ss|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+        if (word.length > 3 && word.endsWith('s') && !/(?:ss|us|is)$/.test(word)) return word.slice(0, -1);
+        return word;
+    }
+
+    /**
+     * Split a text into sentences, keeping their punctuation
+     * @param {string} text - Text
+     * @returns {Array<string>}
+     */
+    splitSentences(text) {
+        return (String(text || '').match(/[^.!?]+(?:[.!?]+|$)/g) || [])
+            .map(sentence => sentence.trim())
+            .filter(sentence => /[A-Za-z]/.test(sentence));
+    }
+
+    /**
+     * Keyword matching shared with the grader, so both views agree
+     * @param {string} text - Text
+     * @param {string} keyword - Keyword
+     * @returns {boolean}
+     */
+    containsKeyword(text, keyword) {
+        if (typeof window !== 'undefined' && window.WritingGrader) {
+            return window.WritingGrader.containsKeyword(text, keyword);
+        }
+        const lemmas = new Set(this.getContentWords(text).map(word => word.lemma));
+        return this.getContentWords(keyword).every(word => lemmas.has(word.lemma));
+    }
+}
+
+// Create and export singleton instance
+const writingComparator = new WritingComparator();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = writingComparator;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.WritingComparator = writingComparator;
+}
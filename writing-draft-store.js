@@ -0,0 +1,422 @@
+/**
+ * Writing Draft Store - Named drafts with revision history for the writing page
+ *
+ * Features:
+ * - Several named drafts per writing template (free writing uses FREE_TEMPLATE)
+ * - Timestamped revisions: manual saves, autosaves (merged within a short window)
+ *   and restores, capped per draft
+ * - Word-level diff between a revision and any other text
+ * - Export of every draft as one plain HTML or Markdown file
+ * - Versioned format; the old single "writingDraft" string is migrated into a draft
+ */
+
+class WritingDraftStore {
+    constructor() {
+        // Singleton pattern
+        if (WritingDraftStore.instance) {
+            return WritingDraftStore.instance;
+        }
+
+        this.STORAGE_KEY = 'writingDrafts';
+        this.LEGACY_KEY = 'writingDraft';
+        this.VERSION = 1;
+
+        this.FREE_TEMPLATE = 'free';
+        this.AUTOSAVE_INTERVAL = 30 * 1000;
+        this.MAX_REVISIONS = 30;
+        // Autosaves closer together than this replace each other instead of piling up
+        this.AUTOSAVE_MERGE_WINDOW = 5 * 60 * 1000;
+        // Word diff is quadratic: longer texts are compared as a whole
+        this.MAX_DIFF_CELLS = 250000;
+
+        this.data = null;
+
+        // Set singleton instance
+        WritingDraftStore.instance = this;
+    }
+
+    /**
+     * Load the drafts (once), migrating the legacy single draft
+     * Corrupt or unsupported data is discarded instead of breaking the page
+     * @returns {Object} { version, activeId, drafts: { id: draft } }
+     */
+    load() {
+        if (this.data) {
+            return this.data;
+        }
+
+        let data = null;
+        const raw = localStorage.getItem(this.STORAGE_KEY);
+        if (raw) {
+            try {
+                data = JSON.parse(raw);
+            } catch (error) {
+                console.error('WritingDraftStore: Failed to parse drafts:', error);
+            }
+            if (!this.isValid(data)) {
+                console.warn('WritingDraftStore: Discarding corrupt or unsupported drafts');
+                data = null;
+            }
+        }
+
+        this.data = data || { version: this.VERSION, activeId: null, drafts: {} };
+
+        const legacy = localStorage.getItem(this.LEGACY_KEY);
+        if (legacy !== null) {
+            if (legacy.trim()) {
+                const draft = this.create('مسودة محفوظة', this.FREE_TEMPLATE, legacy);
+                this.data.activeId = this.data.activeId || draft.id;
+            }
+            // Keep the old draft until the migrated copy is saved
+            if (this.persist()) {
+                localStorage.removeItem(this.LEGACY_KEY);
+            }
+        }
+
+        return this.data;
+    }
+
+    /**
+     * Check the shape of stored data
+     * @param {Object} data - Parsed data
+     * @returns {boolean}
+     */
+    isValid(data) {
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        return isObject(data) &&
+            data.version === this.VERSION &&
+            isObject(data.drafts) &&
+            Object.values(data.drafts).every(draft =>
+                isObject(draft) &&
+                typeof draft.id === 'string' &&
+                typeof draft.text === 'string' &&
+                Array.isArray(draft.revisions));
+    }
+
+    /**
+     * Write the drafts to localStorage
+     * @returns {boolean} false when storage is full or unavailable
+     */
+    persist() {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.data));
+            return true;
+        } catch (error) {
+            console.error('WritingDraftStore: Failed to save drafts:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Create a draft
+     * @param {string} name - Draft name
+     * @param {string} templateId - Writing template id (FREE_TEMPLATE for none)
+     * @param {string} text - Initial text
+     * @returns {Object} The draft
+     */
+    create(name, templateId, text = '') {
+        const data = this.load();
+        const now = Date.now();
+        const draft = {
+            id: this.createId('d'),
+            name: String(name || '').trim() || 'مسودة',
+            templateId: templateId || this.FREE_TEMPLATE,
+            text: text,
+            createdAt: now,
+            updatedAt: now,
+            revisions: []
+        };
+
+        if (text.trim()) {
+            draft.revisions.push(this.createRevision(text, 'manual', now));
+        }
+
+        data.drafts[draft.id] = draft;
+        this.persist();
+        return draft;
+    }
+
+    /**
+     * @param {string} id - Draft id
+     * @returns {Object|null}
+     */
+    get(id) {
+        return this.load().drafts[id] || null;
+    }
+
+    /**
+     * Drafts, most recently edited first
+     * @param {string} templateId - Only this template's drafts (optional)
+     * @returns {Array<Object>}
+     */
+    list(templateId) {
+        return Object.values(this.load().drafts)
+            .filter(draft => !templateId || draft.templateId === templateId)
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * @returns {Object|null} The draft open in the editor
+     */
+    getActive() {
+        const data = this.load();
+        return data.drafts[data.activeId] || null;
+    }
+
+    /**
+     * @param {string} id - Draft id
+     */
+    setActive(id) {
+        const data = this.load();
+        if (data.drafts[id] && data.activeId !== id) {
+            data.activeId = id;
+            this.persist();
+        }
+    }
+
+    /**
+     * Save a draft's text and record a revision when it changed
+     * @param {string} id - Draft id
+     * @param {string} text - Current text
+     * @param {string} reason - 'manual' | 'autosave' | 'restore'
+     * @returns {boolean} false if the draft does not exist or storage failed
+     */
+    save(id, text, reason = 'manual') {
+        const draft = this.get(id);
+        if (!draft) {
+            return false;
+        }
+
+        const now = Date.now();
+        const last = draft.revisions[draft.revisions.length - 1];
+
+        if (draft.text !== text) {
+            draft.text = text;
+            draft.updatedAt = now;
+        }
+
+        // Empty texts and unchanged texts are not worth a revision
+        if (text.trim() && (!last || last.text !== text)) {
+            const mergeAutosave = reason === 'autosave' && last && last.reason === 'autosave' &&
+                now - last.at < this.AUTOSAVE_MERGE_WINDOW;
+            if (mergeAutosave) {
+                draft.revisions[draft.revisions.length - 1] = this.createRevision(text, reason, now);
+            } else {
+                draft.revisions.push(this.createRevision(text, reason, now));
+            }
+            draft.revisions = draft.revisions.slice(-this.MAX_REVISIONS);
+        }
+
+        return this.persist();
+    }
+
+    /**
+     * @param {string} id - Draft id
+     * @param {string} name - New name
+     */
+    rename(id, name) {
+        const draft = this.get(id);
+        if (draft && String(name || '').trim()) {
+            draft.name = String(name).trim();
+            this.persist();
+        }
+    }
+
+    /**
+     * Delete a draft
+     * @param {string} id - Draft id
+     */
+    remove(id) {
+        const data = this.load();
+        delete data.drafts[id];
+        if (data.activeId === id) {
+            data.activeId = null;
+        }
+        this.persist();
+    }
+
+    /**
+     * Revisions of a draft, newest first
+     * @param {string} id - Draft id
+     * @returns {Array<Object>} { id, at, reason, text }
+     */
+    getRevisions(id) {
+        const draft = this.get(id);
+        return draft ? draft.revisions.slice().reverse() : [];
+    }
+
+    /**
+     * Put a revision's text back into the draft (the current text stays in the history)
+     * @param {string} id - Draft id
+     * @param {string} revisionId - Revision id
+     * @returns {string|null} The restored text
+     */
+    restore(id, revisionId) {
+        const draft = this.get(id);
+        const revision = draft && draft.revisions.find(item => item.id === revisionId);
+        if (!revision) {
+            return null;
+        }
+
+        // Keep the text being replaced, so a restore can be undone
+        this.save(id, draft.text, 'manual');
+        this.save(id, revision.text, 'restore');
+        return revision.text;
+    }
+
+    /**
+     * Word-level diff (longest common subsequence of words and spaces)
+     * @param {string} oldText - Earlier text
+     * @param {string} newText - Later text
+     * @returns {Array<Object>} { type: 'same' | 'added' | 'removed', text }
+     */
+    diff(oldText, newText) {
+        const oldParts = String(oldText).match(/\s+|[^\s]+/g) || [];
+        const newParts = String(newText).match(/\s+|[^\s]+/g) || [];
+
+        if (oldParts.length * newParts.length > this.MAX_DIFF_CELLS) {
+            return [
+                { type: 'removed', text: String(oldText) },
+                { type: 'added', text: String(newText) }
+            ].filter(part => part.text);
+        }
+
+        // lengths[i][j]: common parts of oldParts[i..] and newParts[j..]
+        const lengths = Array.from({ length: oldParts.length + 1 }, () => new Array(newParts.length + 1).fill(0));
+        for (let i = oldParts.length - 1; i >= 0; i--) {
+            for (let j = newParts.length - 1; j >= 0; j--) {
+                lengths[i][j] = oldParts[i] === newParts[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const parts = [];
+        const add = (type, text) => {
+            const previous = parts[parts.length - 1];
+            if (previous && previous.type === type) {
+                previous.text += text;
+            } else {
+                parts.push({ type, text });
+            }
+        };
+
+        let i = 0;
+        let j = 0;
+        while (i < oldParts.length && j < newParts.length) {
+            if (oldParts[i] === newParts[j]) {
+                add('same', oldParts[i]);
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                add('removed', oldParts[i++]);
+            } else {
+                add('added', newParts[j++]);
+            }
+        }
+        while (i < oldParts.length) add('removed', oldParts[i++]);
+        while (j < newParts.length) add('added', newParts[j++]);
+
+        return parts;
+    }
+
+    /**
+     * All drafts as one document
+     * @param {string} format - 'html' or 'md'
+     * @param {Object} templateTitles - { templateId: title } for the headings
+     * @returns {string}
+     */
+    exportAll(format, templateTitles = {}) {
+        const drafts = this.list().filter(draft => draft.text.trim());
+        const exportedAt = new Date().toLocaleString();
+        const describe = (draft) => ({
+            template: templateTitles[draft.templateId] || (draft.templateId === this.FREE_TEMPLATE ? 'كتابة حرة' : draft.templateId),
+            updated: new Date(draft.updatedAt).toLocaleString(),
+            words: draft.text.trim().split(/\s+/).length
+        });
+
+        if (format === 'md') {
+            const sections = drafts.map(draft => {
+                const info = describe(draft);
+                return `## ${draft.name}\n\n*${info.template} · ${info.updated} · ${info.words} words*\n\n${draft.text.trim()}\n`;
+            });
+            return `# Writing drafts\n\nExported ${exportedAt}\n\n${sections.join('\n---\n\n')}`;
+        }
+
+        const articles = drafts.map(draft => {
+            const info = describe(draft);
+            const paragraphs = draft.text.trim().split(/\n\s*\n/)
+                .map(paragraph => `<p>${this.escapeHTML(paragraph).replace(/\n/g, '<br>')}</p>`)
+                .join('\n');
+            return `<article>
+<h2>${this.escapeHTML(draft.name)}</h2>
+<p class="meta">${this.escapeHTML(info.template)} · ${this.escapeHTML(info.updated)} · ${info.words} words</p>
+${paragraphs}
+</article>`;
+        });
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Writing drafts</title>
+<style>
+body { font-family: Georgia, serif; max-width: 720px; margin: 2rem auto; padding: 0 1rem; line-height: 1.6; color: #222; }
+article { border-top: 1px solid #ccc; padding-top: 1rem; margin-top: 2rem; }
+.meta { color: #666; font-size: 0.9rem; }
+</style>
+</head>
+<body>
+<h1>Writing drafts</h1>
+<p class="meta">Exported ${this.escapeHTML(exportedAt)}</p>
+${articles.join('\n')}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * @param {string} text - Revision text
+     * @param {string} reason - Why it was recorded
+     * @param {number} at - Timestamp
+     * @returns {Object}
+     */
+    createRevision(text, reason, at) {
+        return { id: this.createId('r'), at, reason, text };
+    }
+
+    /**
+     * @param {string} prefix - Id prefix
+     * @returns {string} Unique id
+     */
+    createId(prefix) {
+        return `${prefix}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+    }
+
+    /**
+     * Escape text for HTML
+     * @param {string} text - Raw text
+     * @returns {string}
+     */
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Create and export singleton instance
+const writingDraftStore = new WritingDraftStore();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = writingDraftStore;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.WritingDraftStore = writingDraftStore;
+}
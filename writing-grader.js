@@ -0,0 +1,549 @@
+/**
+ * Writing Grader - Offline, rule-based rubric scoring for writing tasks
+ *
+ * Features:
+ * - Published rubric (RUBRIC): word count, template keywords, sentence variety,
+ *   tense variety, connectors and uncountable-noun errors (10 points in total)
+ * - Deterministic: the same text and options always give the same score
+ * - Per-criterion breakdown with English and Arabic feedback
+ * - Issue list with positions and suggestions: uncountable nouns, wrong verb forms
+ *   after auxiliaries ("did went", "has wrote", "will is") and informal style
+ * - Exam integration: gradeExamSection() matches ExamScoring.setWritingGrader
+ */
+
+class WritingGrader {
+    constructor() {
+        // Singleton pattern
+        if (WritingGrader.instance) {
+            return WritingGrader.instance;
+        }
+
+        // The published rubric (points add up to TOTAL_POINTS)
+        this.RUBRIC = [
+            {
+                id: 'length',
+                name: 'Word count',
+                nameAr: 'عدد الكلمات',
+                points: 2,
+                description: 'Reach the minimum number of words for the task, in at least three sentences.',
+                descriptionAr: 'الوصول إلى الحد الأدنى لعدد الكلمات المطلوب، في ثلاث جمل على الأقل.'
+            },
+            {
+                id: 'keywords',
+                name: 'Keyword coverage',
+                nameAr: 'المصطلحات المطلوبة',
+                points: 3,
+                description: 'Use the required technical keywords (full marks at 4, or all of them if fewer).',
+                descriptionAr: 'استخدام المصطلحات التقنية المطلوبة (الدرجة كاملة عند 4 مصطلحات، أو جميعها إن كانت أقل).'
+            },
+            {
+                id: 'sentences',
+                name: 'Sentence variety',
+                nameAr: 'تنوع الجمل',
+                points: 1.5,
+                description: 'Write enough sentences, vary their length and do not start them all the same way.',
+                descriptionAr: 'كتابة عدد كافٍ من الجمل بأطوال مختلفة وبدايات متنوعة.'
+            },
+            {
+                id: 'tenses',
+                name: 'Tense variety',
+                nameAr: 'تنوع الأزمنة',
+                points: 1.5,
+                description: 'Use at least three different tenses correctly.',
+                descriptionAr: 'استخدام ثلاثة أزمنة مختلفة على الأقل.'
+            },
+            {
+                id: 'connectors',
+                name: 'Connectors',
+                nameAr: 'أدوات الربط',
+                points: 1,
+                description: 'Link ideas with at least three different connectors (counted from three sentences).',
+                descriptionAr: 'ربط الأفكار بثلاث أدوات ربط مختلفة على الأقل (تُحتسب ابتداءً من ثلاث جمل).'
+            },
+            {
+                id: 'uncountable',
+                name: 'Uncountable nouns',
+                nameAr: 'الأسماء غير المعدودة',
+                points: 1,
+                description: 'No plural or a/an with uncountable nouns (half a point per error, counted from three sentences).',
+                descriptionAr: 'عدم جمع الأسماء غير المعدودة أو استخدام a/an معها (نصف درجة لكل خطأ، تُحتسب ابتداءً من ثلاث جمل).'
+            }
+        ];
+
+        this.TOTAL_POINTS = 10;
+
+        // Thresholds for full marks
+        this.DEFAULT_MIN_WORDS = 80;
+        this.MIN_KEYWORDS = 4;
+        this.MIN_SENTENCES = 5;
+        // Below this many distinct sentences of MIN_SENTENCE_WORDS words, a text is not a
+        // paragraph: connectors and "no errors" earn nothing and the word count is
+        // credited per sentence written
+        this.MIN_SCORED_SENTENCES = 3;
+        this.MIN_SENTENCE_WORDS = 3;
+        this.MIN_TENSES = 3;
+        this.MIN_CONNECTORS = 3;
+        this.MIN_LENGTH_SPREAD = 3; // standard deviation of sentence length, in words
+        this.MIN_OPENING_VARIETY = 0.7; // distinct first words / sentences
+        this.UNCOUNTABLE_PENALTY = 0.5;
+
+        // Nouns that have no plural in technical English
+        this.UNCOUNTABLE_NOUNS = [
+            'software', 'hardware', 'firmware', 'malware', 'spyware', 'information',
+            'equipment', 'feedback', 'advice', 'knowledge', 'storage'
+        ];
+
+        // Determiners that need a countable noun, and their uncountable replacement
+        this.COUNTABLE_DETERMINERS = {
+            'many': 'much',
+            'few': 'little',
+            'fewer': 'less',
+            'several': 'some',
+            'these': 'this',
+            'those': 'that',
+            'a number of': 'an amount of'
+        };
+
+        // Words after which "a software" / "many information" is a complete noun phrase
+        // (otherwise "a software engineer" would be flagged)
+        this.PHRASE_END = '(?=\\s*(?:[.,;:!?)]|$)|\\s+(?:is|was|that|which|who|can|could|will|would|should|helps?|allows?|to|for|and|or|in|on|with|from|about)\\b)';
+
+        this.DO_AUXILIARIES = ['did', "didn't", 'does', "doesn't", 'do', "don't"];
+        this.MODALS = ['will', "won't", 'can', "can't", 'could', 'should', 'must', 'would', 'may', 'might'];
+
+        // Forms of be/have that cannot follow a modal
+        this.MODAL_FORMS = { is: 'be', are: 'be', am: 'be', was: 'be', were: 'be', has: 'have', had: 'have' };
+
+        // Informal phrases (reported, not scored)
+        this.STYLE_PHRASES = [
+            { phrase: 'a lot of', suggestion: 'many', messageAr: '"a lot of" غير رسمية؛ استخدم many أو much أو numerous' },
+            { phrase: 'lots of', suggestion: 'many', messageAr: '"lots of" غير رسمية؛ استخدم many أو much' },
+            { phrase: 'very good', suggestion: 'excellent', messageAr: 'استخدم مفردات أقوى مثل excellent أو highly effective' },
+            { phrase: 'very important', suggestion: 'crucial', messageAr: 'استخدم مفردات أقوى مثل crucial أو essential' },
+            { phrase: 'very big', suggestion: 'huge', messageAr: 'استخدم مفردات أقوى مثل huge أو massive' }
+        ];
+
+        this.CONNECTORS = [
+            'however', 'therefore', 'moreover', 'furthermore', 'in addition', 'additionally',
+            'for example', 'for instance', 'such as', 'because', 'although', 'while',
+            'as a result', 'consequently', 'on the other hand', 'in conclusion', 'finally',
+            'first', 'firstly', 'second', 'then', 'also', 'so that', 'thus', 'since', 'but'
+        ];
+
+        this.analyzerWarned = false;
+
+        // Set singleton instance
+        WritingGrader.instance = this;
+    }
+
+    /**
+     * Grade a paragraph against the rubric
+     * @param {string} text - Student text
+     * @param {Object} options - { keywords, minWords, minKeywords, minSentences }
+     * @returns {Object} { score, total, percent, criteria, issues, stats, feedback }
+     */
+    grade(text, options = {}) {
+        const content = String(text || '').trim();
+        const keywords = Array.isArray(options.keywords) ? options.keywords : [];
+        const minWords = options.minWords || this.DEFAULT_MIN_WORDS;
+        const minKeywords = Math.max(1, Math.min(options.minKeywords || this.MIN_KEYWORDS, keywords.length || 1));
+        const minSentences = options.minSentences || this.MIN_SENTENCES;
+        const minScoredSentences = Math.min(this.MIN_SCORED_SENTENCES, minSentences);
+
+        const words = this.getWords(content);
+        const sentences = this.splitSentences(content);
+        const keywordsUsed = keywords.filter(keyword => this.containsKeyword(content, keyword));
+        const tenses = this.detectTenses(content);
+        const connectors = this.findConnectors(content);
+        const issues = this.findIssues(content);
+        const nounErrors = issues.filter(issue => issue.type === 'uncountable');
+        const realSentences = new Set(sentences
+            .filter(sentence => this.getWords(sentence).length >= this.MIN_SENTENCE_WORDS)
+            .map(sentence => sentence.toLowerCase()));
+        const sentenceShare = Math.min(1, realSentences.size / minScoredSentences);
+        const isParagraph = sentenceShare === 1;
+
+        const ratios = {
+            length: Math.min(words.length / minWords, sentenceShare),
+            keywords: keywords.length ? Math.min(keywordsUsed.length / minKeywords, sentenceShare) : Number(isParagraph),
+            sentences: Math.min(this.getSentenceVariety(sentences, minSentences), sentenceShare),
+            tenses: Math.min(tenses.length / this.MIN_TENSES, sentenceShare),
+            connectors: isParagraph ? connectors.length / this.MIN_CONNECTORS : 0,
+            uncountable: isParagraph
+                ? 1 - nounErrors.length * this.UNCOUNTABLE_PENALTY / this.getCriterion('uncountable').points
+                : 0
+        };
+
+        const criteria = this.RUBRIC.map(criterion => {
+            // An empty answer earns nothing, not even the "no errors" points
+            const ratio = content ? Math.min(1, Math.max(0, ratios[criterion.id])) : 0;
+            return {
+                ...criterion,
+                score: this.roundHalf(ratio * criterion.points),
+                ...this.describe(criterion.id, {
+                    words, minWords, keywords, keywordsUsed, minKeywords,
+                    sentences, minSentences, minScoredSentences, isParagraph, tenses, connectors, nounErrors
+                })
+            };
+        });
+
+        const score = criteria.reduce((sum, criterion) => sum + criterion.score, 0);
+
+        return {
+            score: score,
+            total: this.TOTAL_POINTS,
+            percent: Math.round((score / this.TOTAL_POINTS) * 100),
+            criteria: criteria,
+            issues: issues,
+            stats: {
+                wordCount: words.length,
+                sentenceCount: sentences.length,
+                keywordsUsed: keywordsUsed,
+                keywordsMissing: keywords.filter(keyword => !keywordsUsed.includes(keyword)),
+                tenses: tenses,
+                connectors: connectors
+            },
+            feedback: criteria
+                .filter(criterion => criterion.score < criterion.points && criterion.tipAr)
+                .map(criterion => criterion.tipAr)
+        };
+    }
+
+    /**
+     * Grader for ExamScoring.setWritingGrader
+     * @param {string} text - Student text
+     * @param {Object} section - Exam writing section ({ keywords | terms, minWords, minTerms, minSentences })
+     * @returns {Object} Same as grade()
+     */
+    gradeExamSection(text, section = {}) {
+        return this.grade(text, {
+            keywords: section.keywords || section.terms || [],
+            minWords: section.minWords,
+            minKeywords: section.minTerms,
+            minSentences: section.minSentences
+        });
+    }
+
+    /**
+     * @param {string} id - Criterion id
+     * @returns {Object|null}
+     */
+    getCriterion(id) {
+        return this.RUBRIC.find(criterion => criterion.id === id) || null;
+    }
+
+    /**
+     * Detail line (English and Arabic) and improvement tip for a criterion
+     * @param {string} id - Criterion id
+     * @param {Object} facts - Measured values
+     * @returns {Object} { detail, detailAr, tipAr }
+     */
+    describe(id, facts) {
+        switch (id) {
+            case 'length':
+                return {
+                    detail: `${facts.words.length} / ${facts.minWords} words`,
+                    detailAr: `${facts.words.length} من ${facts.minWords} كلمة`,
+                    tipAr: facts.isParagraph
+                        ? `اكتب ${Math.max(0, facts.minWords - facts.words.length)} كلمة إضافية على الأقل للوصول إلى الحد الأدنى`
+                        : `قسّم النص إلى ${facts.minScoredSentences} جمل كاملة على الأقل`
+                };
+            case 'keywords':
+                return {
+                    detail: `${facts.keywordsUsed.length} of ${facts.keywords.length} keywords (${facts.minKeywords} needed)`,
+                    detailAr: `${facts.keywordsUsed.length} من ${facts.keywords.length} مصطلحات (المطلوب ${facts.minKeywords})`,
+                    tipAr: `استخدم مصطلحات القالب مثل: ${facts.keywords.filter(k => !facts.keywordsUsed.includes(k)).slice(0, 3).join(', ')}`
+                };
+            case 'sentences':
+                return {
+                    detail: `${facts.sentences.length} sentences (${facts.minSentences} needed)`,
+                    detailAr: `${facts.sentences.length} جمل (المطلوب ${facts.minSentences})`,
+                    tipAr: 'نوّع أطوال الجمل وبداياتها، واكتب 5 جمل على الأقل'
+                };
+            case 'tenses':
+                return {
+                    detail: facts.tenses.length ? facts.tenses.join(', ') : 'No tense identified',
+                    detailAr: facts.tenses.length ? facts.tenses.join('، ') : 'لم يتم التعرف على أي زمن',
+                    tipAr: 'استخدم أزمنة متنوعة (حاضر، ماضي، مستقبل، تام)'
+                };
+            case 'connectors':
+                return {
+                    detail: facts.connectors.length ? facts.connectors.join(', ') : 'No connectors',
+                    detailAr: facts.connectors.length ? facts.connectors.join('، ') : 'لا توجد أدوات ربط',
+                    tipAr: facts.isParagraph
+                        ? 'اربط الجمل بأدوات ربط مثل "however, therefore, for example"'
+                        : `تُحتسب أدوات الربط ابتداءً من ${facts.minScoredSentences} جمل`
+                };
+            case 'uncountable':
+                return {
+                    detail: `${facts.nounErrors.length} error(s)`,
+                    detailAr: `${facts.nounErrors.length} خطأ`,
+                    tipAr: facts.isParagraph
+                        ? 'لا تجمع الأسماء غير المعدودة مثل software و information ولا تستخدم معها a/an'
+                        : `يُحتسب هذا المعيار ابتداءً من ${facts.minScoredSentences} جمل`
+                };
+            default:
+                return { detail: '', detailAr: '', tipAr: '' };
+        }
+    }
+
+    /**
+     * Sentence variety ratio: count, length spread and varied openings (averaged)
+     * @param {Array<string>} sentences - Sentences
+     * @param {number} minSentences - Sentences needed for full marks
+     * @returns {number} 0..1
+     */
+    getSentenceVariety(sentences, minSentences) {
+        if (!sentences.length) {
+            return 0;
+        }
+
+        const lengths = sentences.map(sentence => this.getWords(sentence).length);
+        const mean = lengths.reduce((sum, length) => sum + length, 0) / lengths.length;
+        const spread = Math.sqrt(lengths.reduce((sum, length) => sum + (length - mean) ** 2, 0) / lengths.length);
+
+        const openings = new Set(sentences.map(sentence => (this.getWords(sentence)[0] || '').toLowerCase()));
+
+        const count = Math.min(1, sentences.length / minSentences);
+        // A single sentence has no variety to speak of
+        const lengthVariety = sentences.length > 1 ? Math.min(1, spread / this.MIN_LENGTH_SPREAD) : 0;
+        const openingVariety = sentences.length > 1
+            ? Math.min(1, (openings.size / sentences.length) / this.MIN_OPENING_VARIETY)
+            : 0;
+
+        return (count + lengthVariety + openingVariety) / 3;
+    }
+
+    /**
+     * Tenses used in the text (verb phrases parsed by TenseAnalyzer)
+     * @param {string} text - Text
+     * @returns {Array<string>} e.g. ['present simple', 'past simple', 'future simple']
+     */
+    detectTenses(text) {
+        const analyzer = this.getTenseAnalyzer();
+        return analyzer ? analyzer.detectTenses(text) : [];
+    }
+
+    /**
+     * @returns {Object|null} TenseAnalyzer (tense-analyzer.js must be loaded first)
+     */
+    getTenseAnalyzer() {
+        const analyzer = typeof window !== 'undefined' ? window.TenseAnalyzer : null;
+        if (!analyzer && !this.analyzerWarned) {
+            this.analyzerWarned = true;
+            console.warn('WritingGrader: TenseAnalyzer is not loaded; tenses are not checked');
+        }
+        return analyzer || null;
+    }
+
+    /**
+     * Connectors used in the text (each counted once)
+     * @param {string} text - Text
+     * @returns {Array<string>}
+     */
+    findConnectors(text) {
+        const lower = String(text).toLowerCase();
+        return this.CONNECTORS.filter(connector =>
+            new RegExp(`\\b${this.escapeRegExp(connector)}\\b`).test(lower));
+    }
+
+    /**
+     * Find uncountable-noun errors and informal phrases
+     * @param {string} text - Text
+     * @returns {Array<Object>} { type, start, end, text, suggestion, message, messageAr }, in text order
+     */
+    findIssues(text) {
+        const content = String(text || '');
+        const issues = [];
+        const nouns = this.UNCOUNTABLE_NOUNS.join('|');
+
+        // Plural uncountable nouns: "softwares", "informations"
+        // ("data" is only checked here: "these data" is correct)
+        this.collect(content, new RegExp(`\\b(${nouns}|data)s\\b`, 'gi'), match => ({
+            type: 'uncountable',
+            suggestion: match[1],
+            message: `"${match[1].toLowerCase()}" is uncountable and has no plural form.`,
+            messageAr: `"${match[1].toLowerCase()}" اسم غير معدود ولا يُجمع بإضافة s`
+        }), issues);
+
+        // a/an + uncountable noun: "a software is..."
+        this.collect(content, new RegExp(`\\b(an?)\\s+(${nouns})\\b${this.PHRASE_END}`, 'gi'), match => ({
+            type: 'uncountable',
+            suggestion: `${match[1][0] === 'A' ? 'A' : 'a'} piece of ${match[2]}`,
+            message: `Do not use "a/an" with the uncountable noun "${match[2].toLowerCase()}".`,
+            messageAr: `لا تُستخدم a/an مع الاسم غير المعدود "${match[2].toLowerCase()}"؛ استخدم "a piece of" أو احذفها`
+        }), issues);
+
+        // Countable determiners: "many information", "several equipment"
+        const determiners = Object.keys(this.COUNTABLE_DETERMINERS).map(d => this.escapeRegExp(d)).join('|');
+        this.collect(content, new RegExp(`\\b(${determiners})\\s+(${nouns})\\b${this.PHRASE_END}`, 'gi'), match => {
+            const replacement = this.COUNTABLE_DETERMINERS[match[1].toLowerCase()];
+            return {
+                type: 'uncountable',
+                suggestion: `${this.matchCase(replacement, match[1])} ${match[2]}`,
+                message: `"${match[1].toLowerCase()}" is used with countable nouns; use "${replacement}" with "${match[2].toLowerCase()}".`,
+                messageAr: `"${match[1].toLowerCase()}" تُستخدم مع الأسماء المعدودة؛ استخدم "${replacement}" مع "${match[2].toLowerCase()}"`
+            };
+        }, issues);
+
+        // Wrong verb forms after auxiliaries: "did went", "will is", "has wrote"
+        this.collectVerbFormIssues(content, issues);
+
+        // Informal style (not scored)
+        this.STYLE_PHRASES.forEach(style => {
+            this.collect(content, new RegExp(`\\b${this.escapeRegExp(style.phrase)}\\b`, 'gi'), match => ({
+                type: 'style',
+                suggestion: this.matchCase(style.suggestion, match[0]),
+                message: `"${style.phrase}" is informal; try "${style.suggestion}".`,
+                messageAr: style.messageAr
+            }), issues);
+        });
+
+        // Keep text order; drop overlaps (the first match wins)
+        issues.sort((a, b) => a.start - b.start);
+        return issues.filter((issue, index) => index === 0 || issue.start >= issues[index - 1].end);
+    }
+
+    /**
+     * Find past forms where a base form or participle is needed
+     * (the irregular forms come from the TenseAnalyzer lexicon)
+     * @param {string} content - Text
+     * @param {Array<Object>} issues - Issue list to add to
+     */
+    collectVerbFormIssues(content, issues) {
+        const analyzer = this.getTenseAnalyzer();
+        if (!analyzer) {
+            return;
+        }
+        const irregularPast = analyzer.getIrregularPastForms();
+
+        // Past forms after do/does/did: "did went" -> "did go"
+        const pasts = Object.keys(irregularPast).join('|');
+        const doAuxiliaries = this.DO_AUXILIARIES.map(d => this.escapeRegExp(d)).join('|');
+        this.collect(content, new RegExp(`\\b(${doAuxiliaries})(\\s+not)?\\s+(${pasts})\\b`, 'gi'), match => {
+            const base = irregularPast[match[3].toLowerCase()].base;
+            return {
+                type: 'tense',
+                suggestion: `${match[1]}${match[2] || ''} ${base}`,
+                message: `After "${match[1].toLowerCase()}" use the base form of the verb: "${base}".`,
+                messageAr: `بعد "${match[1].toLowerCase()}" يأتي الفعل في صورته الأساسية: "${base}"`
+            };
+        }, issues);
+
+        // Past or be/have forms after a modal: "will went", "can is"
+        const modals = this.MODALS.map(m => this.escapeRegExp(m)).join('|');
+        const modalForms = Object.keys(this.MODAL_FORMS).join('|');
+        this.collect(content, new RegExp(`\\b(${modals})(\\s+not)?\\s+(${pasts}|${modalForms})\\b`, 'gi'), match => {
+            const verb = match[3].toLowerCase();
+            const base = this.MODAL_FORMS[verb] || irregularPast[verb].base;
+            return {
+                type: 'tense',
+                suggestion: `${match[1]}${match[2] || ''} ${base}`,
+                message: `After the modal "${match[1].toLowerCase()}" use the base form: "${base}".`,
+                messageAr: `بعد الفعل المساعد "${match[1].toLowerCase()}" يأتي الفعل في صورته الأساسية: "${base}"`
+            };
+        }, issues);
+
+        // Past simple instead of the participle in perfect tenses: "has went" -> "has gone"
+        const wrongParticiples = Object.keys(irregularPast)
+            .filter(past => irregularPast[past].participle !== past)
+            .join('|');
+        this.collect(content, new RegExp(`\\b(has|have|had)(\\s+not)?\\s+(${wrongParticiples})\\b`, 'gi'), match => {
+            const participle = irregularPast[match[3].toLowerCase()].participle;
+            return {
+                type: 'tense',
+                suggestion: `${match[1]}${match[2] || ''} ${participle}`,
+                message: `Perfect tenses use the past participle: "${match[1].toLowerCase()} ${participle}".`,
+                messageAr: `بعد has/have/had يأتي التصريف الثالث للفعل (past participle): "${participle}"`
+            };
+        }, issues);
+    }
+
+    /**
+     * Add an issue for every regex match
+     * @param {string} text - Text
+     * @param {RegExp} pattern - Global regex
+     * @param {Function} build - match => issue fields
+     * @param {Array<Object>} issues - Output list
+     */
+    collect(text, pattern, build, issues) {
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            issues.push({
+                ...build(match),
+                start: match.index,
+                end: match.index + match[0].length,
+                text: match[0]
+            });
+        }
+    }
+
+    /**
+     * Does the text use a keyword? (whole words, case-insensitive, plural allowed)
+     * @param {string} text - Text
+     * @param {string} keyword - Keyword, e.g. 'IP Address'
+     * @returns {boolean}
+     */
+    containsKeyword(text, keyword) {
+        const pattern = this.escapeRegExp(String(keyword).trim()).replace(/\s+/g, '\\s+');
+        return new RegExp(`\\b${pattern}(?:s|es)?\\b`, 'i').test(text);
+    }
+
+    /**
+     * @param {string} text - Text
+     * @returns {Array<string>}
+     */
+    getWords(text) {
+        return String(text).trim().split(/\s+/).filter(word => /[A-Za-z0-9]/.test(word));
+    }
+
+    /**
+     * @param {string} text - Text
+     * @returns {Array<string>}
+     */
+    splitSentences(text) {
+        return String(text).split(/[.!?]+/).map(sentence => sentence.trim()).filter(sentence => this.getWords(sentence).length > 0);
+    }
+
+    /**
+     * Round to the nearest half point
+     * @param {number} value - Points
+     * @returns {number}
+     */
+    roundHalf(value) {
+        return Math.round(value * 2) / 2;
+    }
+
+    /**
+     * Capitalize a replacement like the original word
+     * @param {string} replacement - Replacement text
+     * @param {string} original - Original text
+     * @returns {string}
+     */
+    matchCase(replacement, original) {
+        return /^[A-Z]/.test(original)
+            ? replacement.charAt(0).toUpperCase() + replacement.slice(1)
+            : replacement;
+    }
+
+    /**
+     * @param {string} value - Literal text
+     * @returns {string} Text safe to use inside a RegExp
+     */
+    escapeRegExp(value) {
+        return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+// Create and export singleton instance
+const writingGrader = new WritingGrader();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = writingGrader;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.WritingGrader = writingGrader;
+}
@@ -0,0 +1,450 @@
+/**
+ * Writing Overlay Editor - In-place issue highlighting for a textarea
+ *
+ * Features:
+ * - Underlines each detected issue inside the textarea (a mirrored layer on top
+ *   that ignores the pointer), so the textarea keeps working as usual
+ *   (value, selection, undo)
+ * - Hover card (or caret inside an issue) with the explanation and suggestion
+ * - Explanations in English in exam mode, Arabic in study/beginner mode
+ * - One-click accept (apply the suggestion) or ignore (hide that issue)
+ * - Issues come from a pluggable finder (default: WritingGrader.findIssues)
+ */
+
+class WritingOverlayEditor {
+    constructor() {
+        // Singleton pattern
+        if (WritingOverlayEditor.instance) {
+            return WritingOverlayEditor.instance;
+        }
+
+        this.ANALYZE_DELAY = 250; // ms after the last keystroke
+        this.HIDE_DELAY = 250; // ms before the card hides (time to move onto it)
+
+        // Textarea styles the underline layer must copy so the text lines up exactly
+        this.MIRRORED_STYLES = [
+            'boxSizing', 'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'letterSpacing',
+            'lineHeight', 'textTransform', 'wordSpacing', 'textIndent', 'direction', 'textAlign',
+            'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+            'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+            'borderTopLeftRadius', 'borderTopRightRadius', 'borderBottomLeftRadius', 'borderBottomRightRadius',
+            'tabSize', 'overflowWrap', 'wordBreak'
+        ];
+
+        // Card texts per language
+        this.TYPE_LABELS = {
+            uncountable: { en: 'Uncountable noun', ar: 'اسم غير معدود' },
+            tense: { en: 'Verb form', ar: 'صيغة الفعل' },
+            style: { en: 'Style', ar: 'أسلوب' }
+        };
+        this.TEXTS = {
+            accept: { en: 'Accept', ar: 'قبول' },
+            ignore: { en: 'Ignore', ar: 'تجاهل' }
+        };
+
+        // State
+        this.textarea = null;
+        this.backdrop = null;
+        this.card = null;
+        this.findIssues = null;
+        this.issues = [];
+        this.ignored = new Set();
+        this.activeIndex = -1;
+        this.analyzeTimer = null;
+        this.hideTimer = null;
+
+        // Set singleton instance
+        WritingOverlayEditor.instance = this;
+    }
+
+    /**
+     * Turn a textarea into an overlay editor
+     * @param {HTMLTextAreaElement} textarea - Editor
+     * @param {Object} options - { findIssues: text => [{ type, start, end, text, suggestion, message, messageAr }] }
+     */
+    attach(textarea, options = {}) {
+        if (!textarea || this.textarea === textarea) {
+            return;
+        }
+
+        this.textarea = textarea;
+        this.findIssues = options.findIssues ||
+            (text => (window.WritingGrader ? window.WritingGrader.findIssues(text) : []));
+
+        // Wrapper: the underline layer sits on top of the textarea
+        const wrapper = document.createElement('div');
+        wrapper.className = 'overlay-editor';
+        textarea.parentNode.insertBefore(wrapper, textarea);
+
+        this.backdrop = document.createElement('div');
+        this.backdrop.className = 'overlay-editor-backdrop';
+        this.backdrop.setAttribute('aria-hidden', 'true');
+
+        wrapper.appendChild(textarea);
+        wrapper.appendChild(this.backdrop);
+        textarea.classList.add('overlay-editor-input');
+
+        this.renderCard();
+        this.bindEvents();
+        this.syncStyles();
+        this.refresh();
+    }
+
+    /**
+     * Listen to the textarea and the hover card
+     */
+    bindEvents() {
+        const textarea = this.textarea;
+
+        textarea.addEventListener('input', () => {
+            this.hideCard();
+            clearTimeout(this.analyzeTimer);
+            // Keep the underlines in place while typing, re-check after a pause
+            this.renderBackdrop();
+            this.analyzeTimer = setTimeout(() => this.refresh(), this.ANALYZE_DELAY);
+        });
+
+        textarea.addEventListener('scroll', () => {
+            this.backdrop.scrollTop = textarea.scrollTop;
+            this.backdrop.scrollLeft = textarea.scrollLeft;
+            this.hideCard();
+        });
+
+        // The layer ignores the pointer, so hovering is detected from the marks' positions
+        textarea.addEventListener('mousemove', (e) => {
+            const index = this.getIssueAtPoint(e.clientX, e.clientY);
+            if (index >= 0) {
+                this.showCard(index);
+            } else if (this.activeIndex >= 0) {
+                this.scheduleHide();
+            }
+        });
+        textarea.addEventListener('mouseleave', () => this.scheduleHide());
+
+        // Keyboard users: the caret inside an issue opens its card
+        textarea.addEventListener('keyup', (e) => {
+            if (e.key === 'Escape') {
+                this.hideCard();
+            } else if (e.key.startsWith('Arrow') || e.key === 'Home' || e.key === 'End') {
+                this.showCardAtCaret();
+            }
+        });
+        textarea.addEventListener('click', () => this.showCardAtCaret());
+
+        this.card.addEventListener('mouseenter', () => clearTimeout(this.hideTimer));
+        this.card.addEventListener('mouseleave', () => this.scheduleHide());
+        this.card.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            if (button.dataset.action === 'accept') {
+                this.accept(this.activeIndex);
+            } else {
+                this.ignore(this.activeIndex);
+            }
+        });
+
+        if (typeof ResizeObserver === 'function') {
+            new ResizeObserver(() => this.syncStyles()).observe(textarea);
+        }
+        window.addEventListener('resize', () => this.syncStyles());
+
+        if (window.LanguageSystem && typeof window.LanguageSystem.subscribe === 'function') {
+            window.LanguageSystem.subscribe(() => {
+                if (this.activeIndex >= 0) {
+                    this.showCard(this.activeIndex);
+                }
+            });
+        }
+    }
+
+    /**
+     * Re-analyze the text and redraw the underlines
+     */
+    refresh() {
+        if (!this.textarea) return;
+
+        clearTimeout(this.analyzeTimer);
+        let issues = [];
+        try {
+            issues = this.findIssues(this.textarea.value) || [];
+        } catch (error) {
+            console.error('WritingOverlayEditor: Failed to find issues:', error);
+        }
+
+        this.issues = issues.filter(issue => !this.ignored.has(this.getIgnoreKey(issue)));
+        this.renderBackdrop();
+    }
+
+    /**
+     * Visible (not ignored) issues
+     * @returns {Array<Object>}
+     */
+    getIssues() {
+        return this.issues.slice();
+    }
+
+    /**
+     * Draw the text with <mark>s on the issues
+     * While typing, marks whose text no longer matches are dropped until the next analysis
+     */
+    renderBackdrop() {
+        const text = this.textarea.value;
+        let html = '';
+        let position = 0;
+
+        this.issues.forEach((issue, index) => {
+            if (issue.start < position || text.slice(issue.start, issue.end) !== issue.text) {
+                return;
+            }
+            html += this.escapeHTML(text.slice(position, issue.start));
+            html += `<mark class="overlay-issue ${issue.type}" data-index="${index}">${this.escapeHTML(issue.text)}</mark>`;
+            position = issue.end;
+        });
+        html += this.escapeHTML(text.slice(position));
+
+        // A trailing newline needs content after it to take up a line
+        this.backdrop.innerHTML = html + (text.endsWith('\n') ? ' ' : '');
+        this.backdrop.scrollTop = this.textarea.scrollTop;
+    }
+
+    /**
+     * Copy the textarea's box and font to the underline layer
+     */
+    syncStyles() {
+        if (!this.textarea) return;
+
+        const style = window.getComputedStyle(this.textarea);
+        this.MIRRORED_STYLES.forEach(property => {
+            this.backdrop.style[property] = style[property];
+        });
+
+        // Leave room for the textarea's scrollbar so lines wrap at the same place
+        const borders = parseFloat(style.borderLeftWidth) + parseFloat(style.borderRightWidth);
+        const scrollbar = Math.max(0, this.textarea.offsetWidth - this.textarea.clientWidth - borders);
+        const side = style.direction === 'rtl' ? 'paddingLeft' : 'paddingRight';
+        this.backdrop.style[side] = `${parseFloat(style[side]) + scrollbar}px`;
+
+        this.backdrop.style.width = `${this.textarea.offsetWidth}px`;
+        this.backdrop.style.height = `${this.textarea.offsetHeight}px`;
+        this.backdrop.scrollTop = this.textarea.scrollTop;
+    }
+
+    /**
+     * Find the issue under a screen point
+     * @param {number} x - clientX
+     * @param {number} y - clientY
+     * @returns {number} Issue index or -1
+     */
+    getIssueAtPoint(x, y) {
+        const marks = this.backdrop.querySelectorAll('.overlay-issue');
+        for (const mark of marks) {
+            for (const rect of mark.getClientRects()) {
+                if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) {
+                    return Number(mark.dataset.index);
+                }
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Show the card of the issue under the caret (if any)
+     */
+    showCardAtCaret() {
+        const caret = this.textarea.selectionStart;
+        const index = this.issues.findIndex(issue => caret >= issue.start && caret <= issue.end);
+        if (index >= 0) {
+            this.showCard(index);
+        } else {
+            this.hideCard();
+        }
+    }
+
+    /**
+     * Select an issue in the textarea and open its card
+     * @param {number} index - Issue index
+     */
+    focusIssue(index) {
+        const issue = this.issues[index];
+        if (!issue) return;
+
+        this.textarea.focus();
+        this.textarea.setSelectionRange(issue.start, issue.end);
+
+        // Bring the issue into view inside the textarea, then open the card
+        const mark = this.backdrop.querySelector(`.overlay-issue[data-index="${index}"]`);
+        if (mark) {
+            this.textarea.scrollTop = Math.max(0, mark.offsetTop - this.textarea.clientHeight / 2);
+            this.backdrop.scrollTop = this.textarea.scrollTop;
+        }
+        this.textarea.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        this.showCard(index);
+    }
+
+    /**
+     * Create the hover card
+     */
+    renderCard() {
+        this.card = document.createElement('div');
+        this.card.className = 'overlay-issue-card';
+        this.card.setAttribute('role', 'dialog');
+        this.card.hidden = true;
+        document.body.appendChild(this.card);
+    }
+
+    /**
+     * Fill and position the card for an issue
+     * @param {number} index - Issue index
+     */
+    showCard(index) {
+        const issue = this.issues[index];
+        const mark = this.backdrop.querySelector(`.overlay-issue[data-index="${index}"]`);
+        if (!issue || !mark) return;
+
+        clearTimeout(this.hideTimer);
+        const isArabic = this.isArabic();
+        const lang = isArabic ? 'ar' : 'en';
+        const label = (this.TYPE_LABELS[issue.type] || { en: issue.type, ar: issue.type })[lang];
+        const message = isArabic ? (issue.messageAr || issue.message) : (issue.message || issue.messageAr);
+
+        if (this.activeIndex !== index || this.card.hidden || this.card.dataset.lang !== lang) {
+            this.card.dataset.lang = lang;
+            this.card.setAttribute('dir', isArabic ? 'rtl' : 'ltr');
+            this.card.className = `overlay-issue-card ${issue.type}`;
+            this.card.innerHTML = `
+                <div class="overlay-issue-type">${this.escapeHTML(label)}</div>
+                <div class="overlay-issue-fix" dir="ltr">
+                    <del>${this.escapeHTML(issue.text)}</del>
+                    <i class="fas fa-arrow-right"></i>
+                    <ins>${this.escapeHTML(issue.suggestion || '')}</ins>
+                </div>
+                <p class="overlay-issue-message">${this.escapeHTML(message || '')}</p>
+                <div class="overlay-issue-actions">
+                    ${issue.suggestion ? `<button type="button" class="overlay-issue-accept" data-action="accept">
+                        <i class="fas fa-check"></i> ${this.TEXTS.accept[lang]}
+                    </button>` : ''}
+                    <button type="button" class="overlay-issue-ignore" data-action="ignore">
+                        <i class="fas fa-eye-slash"></i> ${this.TEXTS.ignore[lang]}
+                    </button>
+                </div>
+            `;
+        }
+
+        this.activeIndex = index;
+        this.backdrop.querySelectorAll('.overlay-issue.active').forEach(el => el.classList.remove('active'));
+        mark.classList.add('active');
+
+        // Below the underlined word, kept inside the viewport
+        this.card.hidden = false;
+        const rect = mark.getClientRects()[0] || mark.getBoundingClientRect();
+        const cardWidth = this.card.offsetWidth;
+        const left = Math.min(Math.max(8, rect.left), window.innerWidth - cardWidth - 8);
+        const below = rect.bottom + 6;
+        const top = below + this.card.offsetHeight > window.innerHeight
+            ? rect.top - this.card.offsetHeight - 6
+            : below;
+        this.card.style.left = `${left}px`;
+        this.card.style.top = `${Math.max(8, top)}px`;
+    }
+
+    /**
+     * Hide the card after a short delay (so the pointer can reach it)
+     */
+    scheduleHide() {
+        clearTimeout(this.hideTimer);
+        this.hideTimer = setTimeout(() => this.hideCard(), this.HIDE_DELAY);
+    }
+
+    /**
+     * Hide the card now
+     */
+    hideCard() {
+        clearTimeout(this.hideTimer);
+        if (this.card) {
+            this.card.hidden = true;
+        }
+        if (this.backdrop) {
+            this.backdrop.querySelectorAll('.overlay-issue.active').forEach(el => el.classList.remove('active'));
+        }
+        this.activeIndex = -1;
+    }
+
+    /**
+     * Replace an issue with its suggestion
+     * @param {number} index - Issue index
+     */
+    accept(index) {
+        const issue = this.issues[index];
+        const textarea = this.textarea;
+        if (!issue || !issue.suggestion) return;
+
+        // The text changed since the last analysis: re-check instead of replacing
+        if (textarea.value.slice(issue.start, issue.end) !== issue.text) {
+            this.hideCard();
+            this.refresh();
+            return;
+        }
+
+        textarea.focus();
+        textarea.setRangeText(issue.suggestion, issue.start, issue.end, 'end');
+        this.hideCard();
+
+        // Let the page update its counters; then re-check right away
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+        this.refresh();
+    }
+
+    /**
+     * Hide an issue (and the same issue elsewhere in the text)
+     * @param {number} index - Issue index
+     */
+    ignore(index) {
+        const issue = this.issues[index];
+        if (!issue) return;
+
+        this.ignored.add(this.getIgnoreKey(issue));
+        this.hideCard();
+        this.refresh();
+        this.textarea.focus();
+    }
+
+    /**
+     * @param {Object} issue - Issue
+     * @returns {string}
+     */
+    getIgnoreKey(issue) {
+        return `${issue.type}|${String(issue.text).toLowerCase()}`;
+    }
+
+    /**
+     * Arabic explanations in study and beginner modes
+     * @returns {boolean}
+     */
+    isArabic() {
+        return Boolean(window.LanguageSystem && window.LanguageSystem.shouldShowArabicHelp());
+    }
+
+    /**
+     * Escape text for innerHTML
+     * @param {string} text - Raw text
+     * @returns {string}
+     */
+    escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Create and export singleton instance
+const writingOverlayEditor = new WritingOverlayEditor();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = writingOverlayEditor;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.WritingOverlayEditor = writingOverlayEditor;
+}